@@ -13,5 +13,15 @@
     "category": "Web",
     "license": "AGPL-3",
     "depends": ["web_editor"],
-    "data": ["templates/assets.xml"],
+    "data": [
+        "security/ir.model.access.csv",
+        "security/ir_rule.xml",
+        "data/web_widget_ckeditor_style_data.xml",
+        "templates/assets.xml",
+        "views/web_widget_ckeditor_style_views.xml",
+        "views/web_widget_ckeditor_field_views.xml",
+        "views/web_widget_ckeditor_template_views.xml",
+        "views/res_config_settings_views.xml",
+    ],
+    "qweb": ["static/src/xml/*.xml"],
 }
\ No newline at end of file
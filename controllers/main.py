@@ -0,0 +1,181 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+import base64
+import json
+import logging
+
+from odoo import _, http
+from odoo.exceptions import AccessError, UserError
+from odoo.http import request
+from odoo.tools.mimetypes import guess_mimetype
+
+_logger = logging.getLogger(__name__)
+
+# Svg images can hold scripts, and are refused like in the client
+UNSAFE_IMAGE_TYPES = ("image/svg+xml",)
+
+
+class WebWidgetCKEditorController(http.Controller):
+    def _json_response(self, data):
+        return request.make_response(
+            json.dumps(data), headers=[("Content-Type", "application/json")]
+        )
+
+    def _check_record_access(self, res_model, res_id):
+        """Check the user is allowed to attach files to the record"""
+        if res_model not in request.env:
+            raise UserError(_("Unknown model: %s") % res_model)
+        record = request.env[res_model].browse(res_id)
+        record.check_access_rights("write")
+        if res_id:
+            record.check_access_rule("write")
+
+    def _create_image_attachment(self, name, data, res_model, res_id):
+        mimetype = guess_mimetype(data)
+        if not mimetype.startswith("image/") or mimetype in UNSAFE_IMAGE_TYPES:
+            raise UserError(_("The uploaded file is not a valid image."))
+        if res_model:
+            self._check_record_access(res_model, res_id)
+        attachment = (
+            request.env["ir.attachment"]
+            .sudo()
+            .create(
+                {
+                    "name": name,
+                    "datas": base64.b64encode(data),
+                    "mimetype": mimetype,
+                    "res_model": res_model or False,
+                    "res_id": res_id,
+                }
+            )
+        )
+        # Images of a record are also displayed outside of the backend, e.g.
+        # in emails, with the token. Images of no record are only displayed
+        # to the users allowed to read them.
+        if res_model:
+            attachment.generate_access_token()
+        return attachment
+
+    def _get_image_url(self, attachment):
+        if attachment.public or not attachment.access_token:
+            return "/web/image/%s" % attachment.id
+        return "/web/image/%s?access_token=%s" % (
+            attachment.id,
+            attachment.access_token,
+        )
+
+    @http.route(
+        "/web_widget_ckeditor/upload_image",
+        type="http",
+        auth="user",
+        methods=["POST"],
+    )
+    def upload_image(self, upload, res_model=None, res_id=None, **kwargs):
+        """Stores an image uploaded from the editor as an ir.attachment
+
+        The response follows CKEditor's upload adapters protocol:
+        either ``{"url": ...}`` or ``{"error": {"message": ...}}``.
+        """
+        try:
+            attachment = self._create_image_attachment(
+                upload.filename, upload.read(), res_model, int(res_id or 0)
+            )
+        except (AccessError, UserError) as error:
+            return self._json_response({"error": {"message": error.args[0]}})
+        except Exception:
+            _logger.exception("Unable to upload CKEditor image")
+            return self._json_response(
+                {"error": {"message": _("Unable to upload the image.")}}
+            )
+        return self._json_response(
+            {"url": self._get_image_url(attachment), "id": attachment.id}
+        )
+
+    @http.route("/web_widget_ckeditor/image_url", type="json", auth="user")
+    def image_url(self, attachment_id, res_model=None, res_id=None, **kwargs):
+        """Returns the url of an existing image, e.g. from the media library
+
+        The user has to be allowed to read the attachment. Public images, and
+        the images of the edited record, are used as is. Other images are
+        copied onto the edited record, so that their access token doesn't
+        disclose the original attachment. Without record, the url is only
+        usable in the backend.
+        """
+        attachment = request.env["ir.attachment"].browse(int(attachment_id))
+        attachment.check("read")
+        if not (attachment.mimetype or "").startswith("image/"):
+            raise UserError(_("The attachment is not an image."))
+        attachment = attachment.sudo()
+        res_id = int(res_id or 0)
+        is_linked = bool(res_id) and (
+            attachment.res_model == res_model and attachment.res_id == res_id
+        )
+        if res_model and not attachment.public and not is_linked:
+            self._check_record_access(res_model, res_id)
+            attachment = attachment.copy(
+                {
+                    "res_model": res_model,
+                    "res_id": res_id,
+                    "res_field": False,
+                    "access_token": False,
+                }
+            )
+            is_linked = True
+        if is_linked and not attachment.access_token:
+            attachment.generate_access_token()
+        return {"url": self._get_image_url(attachment), "name": attachment.name}
+
+    @http.route(
+        "/web_widget_ckeditor/import_file",
+        type="http",
+        auth="user",
+        methods=["POST"],
+    )
+    def import_file(self, upload, res_model=None, res_id=None, **kwargs):
+        """Converts an uploaded document to html, see web.widget.ckeditor.import
+
+        The document's images are stored as ir.attachment, and removed when
+        the conversion fails. The response is either ``{"html": ...}`` or
+        ``{"error": {"message": ...}}``.
+        """
+        res_id = int(res_id or 0)
+
+        def store_image(name, data):
+            try:
+                attachment = self._create_image_attachment(
+                    name, data, res_model, res_id
+                )
+            except UserError:
+                # e.g. formats browsers can't display, like wmf
+                _logger.info("Unable to import image %s", name)
+                return None
+            return self._get_image_url(attachment)
+
+        try:
+            if res_model:
+                self._check_record_access(res_model, res_id)
+            with request.env.cr.savepoint():
+                html = request.env["web.widget.ckeditor.import"]._import_file(
+                    upload.filename, upload.read(), store_image
+                )
+        except (AccessError, UserError) as error:
+            return self._json_response({"error": {"message": error.args[0]}})
+        except Exception:
+            _logger.exception("Unable to import CKEditor file")
+            return self._json_response(
+                {"error": {"message": _("Unable to import the file.")}}
+            )
+        return self._json_response({"html": html})
+
+    @http.route("/web_widget_ckeditor/style.css", type="http", auth="user")
+    def style_css(self, **kwargs):
+        """Stylesheet of the styles defined in web.widget.ckeditor.style"""
+        css = request.env["web.widget.ckeditor.style"].get_web_widget_ckeditor_css()
+        return request.make_response(
+            css,
+            headers=[
+                ("Content-Type", "text/css; charset=utf-8"),
+                ("Cache-Control", "no-cache"),
+            ],
+        )
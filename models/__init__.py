@@ -1 +1,11 @@
+from . import base
 from . import ir_config_parameter
+from . import res_config_settings
+from . import web_widget_ckeditor_style
+from . import web_widget_ckeditor_field
+from . import web_widget_ckeditor_revision
+from . import web_widget_ckeditor_template
+from . import web_widget_ckeditor_import
+from . import web_widget_ckeditor_comment
+from . import ir_qweb_fields
+from . import web_widget_ckeditor_placeholder
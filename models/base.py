@@ -0,0 +1,750 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+import re
+
+from lxml import etree, html
+from markupsafe import escape
+
+from odoo import _, api, fields, models
+from odoo.exceptions import AccessError, UserError
+from odoo.tools.mail import (
+    _Cleaner,
+    allowed_tags,
+    safe_attrs,
+    tags_to_kill,
+)
+
+from .web_widget_ckeditor_revision import html_diff, merge_blocks
+
+# Class of the links to mentioned records, as `data-mention` isn't kept by the
+# sanitizer, unlike the `data-oe-model` and `data-oe-id` attributes
+MENTION_CLASS = "mention"
+
+# Editable regions of the restricted editing mode, see StandardEditingMode
+EDITABLE_REGION_CLASS = "restricted-editing-exception"
+
+# Markers of the text comments are anchored to
+COMMENT_CLASS = "o_ckeditor_comment"
+# Suggested insertions and deletions, in <ins> and <del> elements
+SUGGESTION_CLASS = "o_ckeditor_suggestion"
+
+# Urls of the images stored as ir.attachment, e.g. uploaded from the editor
+IMAGE_URL_RE = re.compile(r"/web/image/(\d+)")
+
+FORM_TAGS = ("form", "input", "select", "textarea", "button", "option", "optgroup")
+
+
+def _add_locked_text(element, parts):
+    """Adds the text of an element outside of the editable regions to the
+    last of ``parts``, and starts a new part at each editable region"""
+    is_region = (
+        element.tag == "span"
+        and EDITABLE_REGION_CLASS in (element.get("class") or "").split()
+    )
+    if is_region:
+        parts.append("")
+    elif isinstance(element.tag, str):
+        parts[-1] += element.text or ""
+        for child in element:
+            _add_locked_text(child, parts)
+    parts[-1] += element.tail or ""
+
+
+def _is_removing_markers(old_parts, new_parts):
+    """Returns whether the parts of a value split around markers are the
+    parts of the previous value, where some markers were removed"""
+    old_parts = list(old_parts)
+    for new_part in new_parts:
+        if not old_parts:
+            return False
+        part = old_parts.pop(0)
+        while part != new_part and new_part.startswith(part) and old_parts:
+            part += old_parts.pop(0)
+        if part != new_part:
+            return False
+    return not old_parts
+
+
+def _xpath_class(tag, class_name):
+    """Returns an xpath expression matching the elements with a given class"""
+    return "//%s[contains(concat(' ', normalize-space(@class), ' '), ' %s ')]" % (
+        tag,
+        class_name,
+    )
+
+
+def _inner_html(root):
+    """Returns the html content of an element"""
+    return str(escape(root.text or "")) + "".join(
+        etree.tostring(child, encoding="unicode", method="html") for child in root
+    )
+
+
+def _regexp(names):
+    """Returns a pattern matching the given names, as understood by the editor"""
+    return {"regexp": "^(%s)$" % "|".join(re.escape(name) for name in sorted(names))}
+
+
+class Base(models.AbstractModel):
+    _inherit = "base"
+
+    @api.model
+    def _web_widget_ckeditor_get_mentioned_partner_ids(self, value):
+        """Returns the ids of the partners mentioned in an html value"""
+        if not value or MENTION_CLASS not in value:
+            return set()
+        try:
+            root = html.fragment_fromstring(value, create_parent="div")
+        except etree.ParserError:
+            return set()
+        return {
+            int(res_id)
+            for res_id in root.xpath(
+                _xpath_class("a", MENTION_CLASS)
+                + "[@data-oe-model='res.partner']/@data-oe-id"
+            )
+            if res_id.isdigit()
+        }
+
+    def _web_widget_ckeditor_get_mention_fields(self, vals):
+        """Returns the html fields written with mentions"""
+        return [
+            name
+            for name, value in vals.items()
+            if isinstance(value, str)
+            and MENTION_CLASS in value
+            and name in self._fields
+            and self._fields[name].type == "html"
+        ]
+
+    def _web_widget_ckeditor_notify_mentions(self, field_name, partners):
+        """Hook called with the partners newly mentioned in an html field.
+
+        It does nothing by default, but it can be overridden, for instance
+        to notify the mentioned partners.
+
+        :param field_name: the name of the html field
+        :param partners: res.partner recordset
+        """
+        self.ensure_one()
+
+    def _web_widget_ckeditor_process_mentions(self, vals, previous=None):
+        """Collects the partners mentioned in the written html fields.
+
+        :param vals: the values written on the records
+        :param previous: the previously mentioned partner ids, by record and field
+        """
+        previous = previous or {}
+        Partner = self.env["res.partner"].sudo()
+        for field_name in self._web_widget_ckeditor_get_mention_fields(vals):
+            for record in self:
+                partner_ids = self._web_widget_ckeditor_get_mentioned_partner_ids(
+                    record[field_name]
+                ) - previous.get((record.id, field_name), set())
+                partners = Partner.browse(partner_ids).exists()
+                if partners:
+                    record._web_widget_ckeditor_notify_mentions(field_name, partners)
+
+    def _web_widget_ckeditor_link_images(self, vals):
+        """Links the images uploaded by the user while creating the record to it.
+
+        The record had no id yet: the images were uploaded with its model only.
+        """
+        self.ensure_one()
+        attachment_ids = set()
+        for name, value in vals.items():
+            if (
+                isinstance(value, str)
+                and "/web/image/" in value
+                and name in self._fields
+                and self._fields[name].type == "html"
+            ):
+                attachment_ids.update(map(int, IMAGE_URL_RE.findall(value)))
+        if not attachment_ids:
+            return
+        attachments = (
+            self.env["ir.attachment"]
+            .sudo()
+            .search(
+                [
+                    ("id", "in", list(attachment_ids)),
+                    ("res_model", "=", self._name),
+                    ("res_id", "=", 0),
+                    ("create_uid", "=", self.env.uid),
+                ]
+            )
+        )
+        attachments.write({"res_id": self.id})
+
+    @api.model
+    def _web_widget_ckeditor_get_locked_text(self, value):
+        """Returns the text of an html value outside of the editable regions,
+        split around the regions.
+
+        The markup and the whitespaces are ignored: the editor rewrites them
+        when loading a value, e.g. ``<b>`` becomes ``<strong>``, and tables
+        are wrapped in ``<figure class="table">``.
+        """
+        parts = [""]
+        if value:
+            root = html.fragment_fromstring(value, create_parent="div")
+            _add_locked_text(root, parts)
+        return ["".join(part.split()) for part in parts]
+
+    def _web_widget_ckeditor_check_restricted_editing(self, vals):
+        """Checks the user only changed the editable regions of the fields
+        they can only edit in restricted editing mode. Editable regions can be
+        emptied, and then removed, but they can't be added. Comments can be
+        added anywhere, as well as markup, e.g. bold text."""
+        if self.env.su:
+            return
+        restricted = self.env["web.widget.ckeditor.field"]._get_restricted_fields()
+        get_locked_text = self._web_widget_ckeditor_get_locked_text
+        for field_name in restricted.get(self._name, []):
+            if field_name not in vals:
+                continue
+            field = self._fields[field_name]
+            for record in self:
+                new = field.convert_to_cache(vals[field_name], record)
+                if not _is_removing_markers(
+                    get_locked_text(record[field_name]), get_locked_text(new)
+                ):
+                    raise AccessError(
+                        _("You can only change the editable regions of %s.")
+                        % field.string
+                    )
+
+    def _web_widget_ckeditor_check_suggestions(self, vals):
+        """Checks the user only suggested changes to the fields whose changes
+        they can't apply directly: the text of the value, without its pending
+        suggestions, is unchanged. Like in restricted editing mode, the markup
+        is ignored."""
+        if self.env.su:
+            return
+        suggestion = self.env["web.widget.ckeditor.field"]._get_suggestion_fields()
+        strip_suggestions = self._web_widget_ckeditor_strip_suggestions
+        get_text = self._web_widget_ckeditor_get_locked_text
+        for field_name in suggestion.get(self._name, []):
+            if field_name not in vals:
+                continue
+            field = self._fields[field_name]
+            for record in self:
+                new = field.convert_to_cache(vals[field_name], record)
+                if get_text(strip_suggestions(record[field_name])) != get_text(
+                    strip_suggestions(new)
+                ):
+                    raise AccessError(
+                        _("You can only suggest changes to %s.") % field.string
+                    )
+
+    def _web_widget_ckeditor_is_configured(self):
+        """Returns whether fields of the model have settings: the other models
+        skip the checks and the revisions of the settings when written"""
+        Settings = self.env["web.widget.ckeditor.field"]
+        return self._name in Settings._get_configured_models()
+
+    def _web_widget_ckeditor_get_tracked_fields(self, vals):
+        """Returns the written fields whose revisions are tracked"""
+        tracked = self.env["web.widget.ckeditor.field"]._get_tracked_fields()
+        return [name for name in tracked.get(self._name, []) if name in vals]
+
+    def _web_widget_ckeditor_store_revisions(
+        self, field_names, previous=None, last_update=None
+    ):
+        """Stores a revision of the changed fields.
+
+        When a field has no revision yet, its previous value is stored as well,
+        with the author and date of the last change of the record.
+
+        :param field_names: the tracked fields that were written
+        :param previous: the previous values, by record and field
+        :param last_update: the previous (write_uid, write_date), by record
+        """
+        last_update = last_update or {}
+        previous = previous or {}
+        Revision = self.env["web.widget.ckeditor.revision"].sudo()
+        vals_list = []
+        for record in self:
+            for field_name in field_names:
+                value = record[field_name] or False
+                key = (record.id, field_name)
+                if key in previous and previous[key] == value:
+                    continue
+                vals = {
+                    "res_model": record._name,
+                    "res_id": record.id,
+                    "field_name": field_name,
+                }
+                if previous.get(key) and not Revision._get_revisions(
+                    record, field_name
+                ):
+                    initial_vals = dict(vals, value=previous[key])
+                    if record.id in last_update:
+                        author_id, date = last_update[record.id]
+                        initial_vals.update(author_id=author_id, date=date)
+                    vals_list.append(initial_vals)
+                vals_list.append(dict(vals, value=value))
+        if vals_list:
+            Revision.create(vals_list)
+
+    @api.model_create_multi
+    def create(self, vals_list):
+        records = super().create(vals_list)
+        configured = self._web_widget_ckeditor_is_configured()
+        for record, vals in zip(records, vals_list):
+            record._web_widget_ckeditor_link_images(vals)
+            record._web_widget_ckeditor_process_mentions(vals)
+            if not configured:
+                continue
+            tracked_fields = record._web_widget_ckeditor_get_tracked_fields(vals)
+            if tracked_fields:
+                record._web_widget_ckeditor_store_revisions(tracked_fields)
+        return records
+
+    def write(self, vals):
+        configured = self._web_widget_ckeditor_is_configured()
+        if configured:
+            self._web_widget_ckeditor_check_restricted_editing(vals)
+            self._web_widget_ckeditor_check_suggestions(vals)
+        field_names = self._web_widget_ckeditor_get_mention_fields(vals)
+        get_partner_ids = self._web_widget_ckeditor_get_mentioned_partner_ids
+        previous = {
+            (record.id, field_name): get_partner_ids(record[field_name])
+            for field_name in field_names
+            for record in self
+        }
+        tracked_fields = []
+        if configured:
+            tracked_fields = self._web_widget_ckeditor_get_tracked_fields(vals)
+        previous_values = {
+            (record.id, field_name): record[field_name] or False
+            for field_name in tracked_fields
+            for record in self
+        }
+        last_update = {}
+        if tracked_fields and self._log_access:
+            last_update = {
+                record.id: (record.write_uid.id, record.write_date) for record in self
+            }
+        res = super().write(vals)
+        if field_names:
+            self._web_widget_ckeditor_process_mentions(vals, previous)
+        if tracked_fields:
+            self._web_widget_ckeditor_store_revisions(
+                tracked_fields, previous_values, last_update
+            )
+        return res
+
+    def _web_widget_ckeditor_check_translatable(self, field_name):
+        field = self._fields.get(field_name)
+        if not field or field.type != "html" or not field.translate:
+            raise UserError(_("The field %s is not translatable.") % field_name)
+        return field
+
+    def web_widget_ckeditor_read_translations(self, field_name):
+        """Returns the translations of an html field, in every installed language.
+
+        The state of each translation is either:
+        - ``missing``: it was never translated.
+        - ``outdated``: the source changed since it was translated.
+        - ``translated``
+
+        :returns: dict with the ``source`` value, and a list of ``languages``
+        """
+        self.ensure_one()
+        field = self._web_widget_ckeditor_check_translatable(field_name)
+        source = self.with_context(lang=None)[field_name]
+        translation_type = "model" if field.translate is True else "model_terms"
+        translations = (
+            self.env["ir.translation"]
+            .sudo()
+            .search(
+                [
+                    ("name", "=", "%s,%s" % (self._name, field_name)),
+                    ("res_id", "=", self.id),
+                    ("type", "=", translation_type),
+                ]
+            )
+        )
+        languages = []
+        for code, name in self.env["res.lang"].get_installed():
+            if code == "en_US":
+                continue
+            lang_translations = translations.filtered(lambda t: t.lang == code)
+            if not lang_translations or not all(lang_translations.mapped("value")):
+                state = "missing"
+            elif field.translate is True and lang_translations[0].src != source:
+                state = "outdated"
+            elif "to_translate" in lang_translations.mapped("state"):
+                state = "outdated"
+            else:
+                state = "translated"
+            languages.append(
+                {
+                    "code": code,
+                    "name": name,
+                    "value": self.with_context(lang=code)[field_name],
+                    "state": state,
+                }
+            )
+        return {"source": source, "languages": languages}
+
+    def _web_widget_ckeditor_write_terms(self, field, lang, value):
+        """Writes the translation of the terms of a field translated by terms,
+        e.g. ``html_translate``, like the standard translation dialog does.
+
+        Writing the field itself would change the source value, and the
+        translations of the other languages. The terms of the translated value
+        are matched with the terms of the source value by position.
+        """
+        source = self.with_context(lang=None)[field.name]
+        src_terms = field.get_trans_terms(source)
+        terms = field.get_trans_terms(value)
+        if len(terms) != len(src_terms):
+            raise UserError(
+                _(
+                    "The translation in %s must keep the paragraphs, and the "
+                    "other blocks, of the source text."
+                )
+                % self.env["res.lang"]._lang_get(lang).name
+            )
+        self.env["ir.translation"].sudo()._upsert_translations(
+            [
+                {
+                    "type": "model_terms",
+                    "name": "%s,%s" % (self._name, field.name),
+                    "lang": lang,
+                    "res_id": self.id,
+                    "src": src,
+                    "value": term,
+                    "state": "translated",
+                }
+                for src, term in zip(src_terms, terms)
+            ]
+        )
+
+    def web_widget_ckeditor_write_translations(self, field_name, values):
+        """Writes the translations of an html field.
+
+        :param values: dict with the translated values, by language code
+        """
+        self.ensure_one()
+        field = self._web_widget_ckeditor_check_translatable(field_name)
+        installed = dict(self.env["res.lang"].get_installed())
+        for code, value in values.items():
+            if code not in installed:
+                raise UserError(_("The language %s is not installed.") % code)
+        if not callable(field.translate):
+            for code, value in values.items():
+                self.with_context(lang=code).write({field_name: value})
+            return True
+        self.check_access_rights("write")
+        self.check_access_rule("write")
+        for code, value in values.items():
+            self._web_widget_ckeditor_write_terms(field, code, value)
+        self.invalidate_cache([field_name], self.ids)
+        return True
+
+    @api.model
+    def web_widget_ckeditor_get_html_support(self, field_name):
+        """Returns the editor's General HTML Support rules for an html field.
+
+        The rules match the sanitizing options of the field, so that the editor
+        keeps the same markup the server keeps when saving. Patterns are
+        returned as ``{"regexp": ...}``.
+
+        :returns: dict with the ``allow`` and ``disallow`` rules
+        """
+        field = self._fields[field_name]
+        if field.type != "html" or not field.sanitize:
+            return {
+                "allow": [
+                    {
+                        "name": {"regexp": ".*"},
+                        "attributes": True,
+                        "classes": True,
+                        "styles": True,
+                    }
+                ],
+                "disallow": [],
+            }
+        tags = {tag for tag in allowed_tags if isinstance(tag, str)}
+        if field.sanitize_form:
+            tags -= set(FORM_TAGS)
+        attributes = True
+        if field.sanitize_attributes:
+            attributes = [
+                {"key": _regexp(set(safe_attrs) - {"class", "style"}), "value": True}
+            ]
+        styles = True
+        if field.strip_style:
+            styles = False
+        elif field.sanitize_style:
+            styles = [{"key": _regexp(_Cleaner._style_whitelist), "value": True}]
+        return {
+            "allow": [
+                {
+                    "name": _regexp(tags) if field.sanitize_tags else {"regexp": ".*"},
+                    "attributes": attributes,
+                    "classes": not field.strip_classes,
+                    "styles": styles,
+                }
+            ],
+            "disallow": [
+                {"name": _regexp(tags_to_kill)},
+                {
+                    "name": {"regexp": ".*"},
+                    "attributes": [{"key": {"regexp": "^on"}, "value": True}],
+                },
+            ],
+        }
+
+    @api.model
+    def _web_widget_ckeditor_get_markup(self, value):
+        """Returns the elements, attributes, classes and styles of an html value"""
+        markup = set()
+        try:
+            root = html.fragment_fromstring(value, create_parent="div")
+        except etree.ParserError:
+            return markup
+        for element in root.iterdescendants():
+            tag = element.tag
+            if not isinstance(tag, str):
+                continue
+            markup.add("<%s>" % tag)
+            for name, attr_value in element.attrib.items():
+                if name == "class":
+                    markup.update(
+                        '<%s class="%s">' % (tag, cls) for cls in attr_value.split()
+                    )
+                elif name == "style":
+                    markup.update(
+                        '<%s style="%s">' % (tag, decl.split(":")[0].strip().lower())
+                        for decl in attr_value.split(";")
+                        if decl.strip()
+                    )
+                else:
+                    markup.add("<%s %s>" % (tag, name))
+        return markup
+
+    @api.model
+    def web_widget_ckeditor_get_sanitized_markup(self, field_name, value):
+        """Returns the markup the server would remove when saving an html value
+
+        :returns: sorted list of elements, attributes, classes and styles,
+            e.g. ``["<div onclick>", '<p style="position">', "<script>"]``
+        """
+        field = self._fields[field_name]
+        if field.type != "html" or not field.sanitize or not value:
+            return []
+        sanitized = field.convert_to_column(value, self) or ""
+        return sorted(
+            self._web_widget_ckeditor_get_markup(value)
+            - self._web_widget_ckeditor_get_markup(sanitized)
+        )
+
+    def _web_widget_ckeditor_get_revisions(self, field_name):
+        """Returns the revisions of a tracked field of the record.
+
+        :raises UserError: when the field's revisions are not tracked.
+        """
+        self.ensure_one()
+        self.check_access_rights("read")
+        self.check_access_rule("read")
+        tracked = self.env["web.widget.ckeditor.field"]._get_tracked_fields()
+        if field_name not in tracked.get(self._name, []):
+            raise UserError(
+                _("The revisions of the field %s are not tracked.") % field_name
+            )
+        return (
+            self.env["web.widget.ckeditor.revision"]
+            .sudo()
+            ._get_revisions(self, field_name)
+        )
+
+    def web_widget_ckeditor_read_revisions(self, field_name):
+        """Returns the revisions of an html field, the most recent first.
+
+        :returns: list of dict with the ``id``, ``author`` and ``date``
+        """
+        return [
+            {
+                "id": revision.id,
+                "author": revision.author_id.name or "",
+                "date": fields.Datetime.to_string(revision.date),
+            }
+            for revision in self._web_widget_ckeditor_get_revisions(field_name)
+        ]
+
+    def web_widget_ckeditor_read_revision(self, field_name, revision_id):
+        """Returns the value of an html field at a given revision"""
+        revisions = self._web_widget_ckeditor_get_revisions(field_name)
+        return revisions.filtered(lambda r: r.id == revision_id).value or ""
+
+    def web_widget_ckeditor_diff_revisions(self, field_name, old_id, new_id):
+        """Returns the differences between two revisions of an html field,
+        with ``<ins>`` and ``<del>`` elements, see :func:`html_diff`.
+        """
+        revisions = self._web_widget_ckeditor_get_revisions(field_name)
+        old = revisions.filtered(lambda r: r.id == old_id)
+        new = revisions.filtered(lambda r: r.id == new_id)
+        return html_diff(old.value or "", new.value or "")
+
+    def _web_widget_ckeditor_split_blocks(self, field_name, value):
+        """Returns the top-level blocks of an html value, e.g. paragraphs,
+        sanitized like the values of the field"""
+        value = self._fields[field_name].convert_to_cache(value, self) or ""
+        if not value.strip():
+            return []
+        blocks = []
+        for fragment in html.fragments_fromstring(value):
+            if isinstance(fragment, str):
+                blocks.append(str(escape(fragment)))
+                continue
+            blocks.append(
+                etree.tostring(
+                    fragment, encoding="unicode", method="html", with_tail=False
+                )
+            )
+            if fragment.tail and fragment.tail.strip():
+                blocks.append(str(escape(fragment.tail)))
+        return [block.strip() for block in blocks if block.strip()]
+
+    def web_widget_ckeditor_merge(self, field_name, base, mine, base_date=None):
+        """Merges the changes of the user into the current value of an html
+        field, when someone else changed it since the user loaded it.
+
+        :param base: the value when the user loaded it
+        :param mine: the value of the user
+        :param base_date: the last update of the record when the user loaded it
+        :returns: dict with ``changed``, whether the value was changed since
+            it was loaded. When it was, the current value ``theirs``, the last
+            update of the record ``last_update``, and the ``chunks`` of the
+            merge, see :func:`merge_blocks`.
+        """
+        self.ensure_one()
+        field = self._fields.get(field_name)
+        if not field or field.type != "html":
+            raise UserError(_("The field %s is not an html field.") % field_name)
+        # Dates are compared at the precision of the client, in seconds
+        last_update = self[self.CONCURRENCY_CHECK_FIELD].replace(microsecond=0)
+        if base_date and last_update <= fields.Datetime.to_datetime(base_date):
+            return {"changed": False}
+        theirs = self[field_name] or ""
+        base_blocks = self._web_widget_ckeditor_split_blocks(field_name, base)
+        theirs_blocks = self._web_widget_ckeditor_split_blocks(field_name, theirs)
+        if base_blocks == theirs_blocks:
+            return {"changed": False}
+        mine_blocks = self._web_widget_ckeditor_split_blocks(field_name, mine)
+        return {
+            "changed": True,
+            "theirs": theirs,
+            "last_update": fields.Datetime.to_string(last_update),
+            "chunks": merge_blocks(base_blocks, mine_blocks, theirs_blocks),
+        }
+
+    @api.model
+    def _web_widget_ckeditor_strip_comments(self, value):
+        """Returns an html value without the markers of the comments"""
+        if not value or COMMENT_CLASS not in value:
+            return value
+        root = html.fragment_fromstring(value, create_parent="div")
+        for marker in root.xpath(_xpath_class("span", COMMENT_CLASS)):
+            marker.drop_tag()
+        return _inner_html(root)
+
+    @api.model
+    def _web_widget_ckeditor_strip_suggestions(self, value):
+        """Returns an html value without the suggestions, as if they were
+        rejected: the suggested insertions are removed, and the suggested
+        deletions are kept"""
+        if not value or SUGGESTION_CLASS not in value:
+            return value
+        root = html.fragment_fromstring(value, create_parent="div")
+        for insertion in root.xpath(_xpath_class("ins", SUGGESTION_CLASS)):
+            insertion.drop_tree()
+        for deletion in root.xpath(_xpath_class("del", SUGGESTION_CLASS)):
+            deletion.drop_tag()
+        return _inner_html(root)
+
+    @api.model
+    def _web_widget_ckeditor_get_accepted_value(self, value):
+        """Returns an html value as displayed outside of the editor, without
+        the markers of the comments, nor the pending suggestions"""
+        value = self._web_widget_ckeditor_strip_comments(value)
+        return self._web_widget_ckeditor_strip_suggestions(value)
+
+    def web_widget_ckeditor_get_accepted(self, field_name):
+        """Returns the value of an html field without the markers of the
+        comments, nor the pending suggestions, e.g. for email templates::
+
+            ${object.web_widget_ckeditor_get_accepted('description') | safe}
+        """
+        self.ensure_one()
+        return self._web_widget_ckeditor_get_accepted_value(self[field_name])
+
+    def _web_widget_ckeditor_get_comments(self, field_name):
+        """Returns the comment model, once checked the user can read the record.
+
+        :raises UserError: when comments aren't allowed on the field.
+        """
+        self.ensure_one()
+        self.check_access_rights("read")
+        self.check_access_rule("read")
+        commented = self.env["web.widget.ckeditor.field"]._get_commented_fields()
+        if field_name not in commented.get(self._name, []):
+            raise UserError(_("Comments aren't allowed on the field %s.") % field_name)
+        return self.env["web.widget.ckeditor.comment"].sudo()
+
+    def _web_widget_ckeditor_get_thread(self, field_name, thread_id):
+        threads = self._web_widget_ckeditor_get_comments(field_name)._get_threads(
+            self, field_name
+        )
+        thread = threads.filtered(lambda t: t.id == thread_id)
+        if not thread:
+            raise UserError(_("This comment doesn't exist anymore."))
+        return thread
+
+    def web_widget_ckeditor_read_comments(self, field_name):
+        """Returns the comment threads of an html field.
+
+        :returns: list of dict with the ``id``, ``author``, ``date`` and ``body``
+            of the first comment, whether the thread is ``resolved``, and its
+            ``replies``, as dicts with the same keys
+        """
+        Comment = self._web_widget_ckeditor_get_comments(field_name)
+        return [
+            dict(
+                thread._read_comment(),
+                resolved=thread.resolved,
+                replies=[reply._read_comment() for reply in thread.child_ids],
+            )
+            for thread in Comment._get_threads(self, field_name)
+        ]
+
+    def web_widget_ckeditor_add_comment(self, field_name, body, thread_id=None):
+        """Adds a comment on an html field, or a reply to a thread.
+
+        The new threads must be anchored in the field's value, with a
+        ``<span class="o_ckeditor_comment" data-oe-id="...">`` marker.
+
+        :returns: the id of the comment
+        """
+        Comment = self._web_widget_ckeditor_get_comments(field_name)
+        vals = {
+            "res_model": self._name,
+            "res_id": self.id,
+            "field_name": field_name,
+            "body": body,
+        }
+        if thread_id:
+            vals["parent_id"] = self._web_widget_ckeditor_get_thread(
+                field_name, thread_id
+            ).id
+        return Comment.create(vals).id
+
+    def web_widget_ckeditor_resolve_comment(self, field_name, thread_id):
+        """Marks a comment thread as resolved"""
+        self._web_widget_ckeditor_get_thread(field_name, thread_id).resolved = True
+        return True
@@ -2,16 +2,204 @@
 # @author Iván Todorovich <ivan.todorovich@camptocamp.com>
 # License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
 
-from odoo import api, models
+import json
+import re
+
+from odoo import _, api, models
+
+FONT_SIZE_PRESETS = ("tiny", "small", "default", "big", "huge")
 
 
 class IrConfigParameter(models.Model):
     _inherit = "ir.config_parameter"
-    
 
     @api.model
-    def get_web_widget_ckeditor_config(self):
-        get_param = self.sudo().get_param
+    def _get_web_widget_ckeditor_parsers(self):
+        """Returns the parser of each configuration section.
+
+        Each section is stored in the `web_widget_ckeditor.{section}` parameter.
+        Parsers raise a ValueError when the value is not valid.
+        """
         return {
-            "toolbar": get_param("web_widget_ckeditor.toolbar"),
+            "toolbar": self._parse_web_widget_ckeditor_items,
+            "font_family": self._parse_web_widget_ckeditor_font_family,
+            "font_size": self._parse_web_widget_ckeditor_font_size,
+            "font_color": self._parse_web_widget_ckeditor_colors,
+            "font_background_color": self._parse_web_widget_ckeditor_colors,
+            "heading": self._parse_web_widget_ckeditor_heading,
+            "image_toolbar": self._parse_web_widget_ckeditor_items,
+            "table_toolbar": self._parse_web_widget_ckeditor_items,
+            "mention_models": self._parse_web_widget_ckeditor_models,
+            "image_max_size": self._parse_web_widget_ckeditor_image_size,
         }
+
+    @api.model
+    def _parse_web_widget_ckeditor_items(self, value):
+        return [item for item in re.split(r"[\s,]+", value) if item]
+
+    @api.model
+    def _parse_web_widget_ckeditor_font_family(self, value):
+        return [font.strip() for font in re.split(r"[\n,]+", value) if font.strip()]
+
+    @api.model
+    def _parse_web_widget_ckeditor_font_size(self, value):
+        res = []
+        for size in self._parse_web_widget_ckeditor_items(value):
+            if size in FONT_SIZE_PRESETS:
+                res.append(size)
+            elif size.isdigit() and int(size) > 0:
+                res.append(int(size))
+            else:
+                raise ValueError(
+                    _(
+                        "'%(size)s' is not a valid font size. "
+                        "Use numbers or %(presets)s."
+                    )
+                    % {"size": size, "presets": ", ".join(FONT_SIZE_PRESETS)}
+                )
+        return res
+
+    @api.model
+    def _parse_web_widget_ckeditor_json_list(self, value, required, optional=()):
+        try:
+            items = json.loads(value)
+        except ValueError:
+            raise ValueError(_("It is not a valid JSON value."))
+        if not isinstance(items, list):
+            raise ValueError(_("It has to be a JSON list."))
+        for item in items:
+            if not isinstance(item, dict):
+                raise ValueError(_("Every item of the list has to be a JSON object."))
+            missing = [key for key in required if not item.get(key)]
+            if missing:
+                raise ValueError(
+                    _("Missing %(keys)s in %(item)s")
+                    % {"keys": ", ".join(missing), "item": json.dumps(item)}
+                )
+            unknown = set(item) - set(required) - set(optional)
+            if unknown:
+                raise ValueError(
+                    _("Unknown %(keys)s in %(item)s")
+                    % {"keys": ", ".join(sorted(unknown)), "item": json.dumps(item)}
+                )
+        return items
+
+    @api.model
+    def _parse_web_widget_ckeditor_colors(self, value):
+        return self._parse_web_widget_ckeditor_json_list(
+            value, ("color",), ("label", "hasBorder")
+        )
+
+    @api.model
+    def _parse_web_widget_ckeditor_heading(self, value):
+        items = self._parse_web_widget_ckeditor_json_list(
+            value, ("model", "title"), ("view", "class", "converterPriority")
+        )
+        for item in items:
+            if not re.match(r"^(paragraph|heading\d)$", item["model"]):
+                raise ValueError(
+                    _("'%s' is not a valid heading model. Use paragraph or headingN.")
+                    % item["model"]
+                )
+            if item["model"] != "paragraph" and not item.get("view"):
+                raise ValueError(_("Missing view in %s") % json.dumps(item))
+        return items
+
+    @api.model
+    def _parse_web_widget_ckeditor_models(self, value):
+        res = []
+        for model in self._parse_web_widget_ckeditor_items(value):
+            if model not in self.env:
+                raise ValueError(_("'%s' is not a valid model.") % model)
+            res.append({"model": model, "name": self.env[model]._description})
+        return res
+
+    @api.model
+    def _parse_web_widget_ckeditor_image_size(self, value):
+        """Parses a size in pixels, either `1920` or `1920x1080`"""
+        match = re.match(r"^\s*(\d+)\s*(?:x\s*(\d+))?\s*$", value)
+        if not match or not int(match.group(1)) or not int(match.group(2) or 1):
+            raise ValueError(
+                _("'%s' is not a valid size. Use e.g. 1920 or 1920x1080.") % value
+            )
+        width = int(match.group(1))
+        return {"width": width, "height": int(match.group(2) or width)}
+
+    @api.model
+    def _parse_web_widget_ckeditor_config(self, section, value):
+        """Parses a configuration section value.
+
+        :raises ValueError: with a message describing the invalid value.
+        """
+        parser = self._get_web_widget_ckeditor_parsers()[section]
+        try:
+            return parser(value)
+        except ValueError as error:
+            raise ValueError(
+                _("Invalid value for %(param)s: %(error)s")
+                % {"param": "web_widget_ckeditor.%s" % section, "error": error}
+            )
+
+    @api.model
+    def get_web_widget_ckeditor_config(self):
+        """Returns the editor configuration.
+
+        Sections that are not set, or invalid, are returned as None so that
+        the editor uses its default configuration. Errors are returned in
+        the `errors` key, the installed languages in the `languages` key,
+        the company's style definitions in the `style` key, the fields
+        whose revisions are tracked, by model, in the `tracked_fields` key, the
+        fields users can comment on, by model, in the `commented_fields` key,
+        the fields the user can only edit in restricted editing mode, by
+        model, in the `restricted_fields` key, the fields whose changes are
+        reviewed, by model, in the `reviewed_fields` key, the fields the user
+        can only suggest changes to, by model, in the `suggestion_fields` key,
+        and whether the user can preview templates in the `placeholder_preview`
+        key.
+        """
+        get_param = self.sudo().get_param
+        res = {"errors": []}
+        for section in self._get_web_widget_ckeditor_parsers():
+            res[section] = None
+            value = get_param("web_widget_ckeditor.%s" % section)
+            if not value:
+                continue
+            try:
+                res[section] = self._parse_web_widget_ckeditor_config(section, value)
+            except ValueError as error:
+                res["errors"].append(str(error))
+        res["languages"] = self._get_web_widget_ckeditor_languages()
+        res["style"] = self.env[
+            "web.widget.ckeditor.style"
+        ].get_web_widget_ckeditor_definitions()
+        res["tracked_fields"] = self.env[
+            "web.widget.ckeditor.field"
+        ]._get_tracked_fields()
+        res["commented_fields"] = self.env[
+            "web.widget.ckeditor.field"
+        ]._get_commented_fields()
+        res["restricted_fields"] = self.env[
+            "web.widget.ckeditor.field"
+        ]._get_restricted_fields()
+        res["reviewed_fields"] = self.env[
+            "web.widget.ckeditor.field"
+        ]._get_reviewed_fields()
+        res["suggestion_fields"] = self.env[
+            "web.widget.ckeditor.field"
+        ]._get_suggestion_fields()
+        res["placeholder_preview"] = self.env[
+            "web.widget.ckeditor.placeholder"
+        ]._can_preview()
+        return res
+
+    @api.model
+    def _get_web_widget_ckeditor_languages(self):
+        """Returns the installed languages, for the text part language feature"""
+        return [
+            {
+                "name": lang.name,
+                "code": (lang.iso_code or lang.code).replace("_", "-"),
+                "direction": lang.direction,
+            }
+            for lang in self.env["res.lang"].sudo().search([])
+        ]
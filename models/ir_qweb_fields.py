@@ -0,0 +1,46 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+from odoo import api, models
+
+
+class HTMLConverter(models.AbstractModel):
+    _inherit = "ir.qweb.field.html"
+
+    @api.model
+    def value_to_html(self, value, options):
+        """Removes the markers of the comments and the pending suggestions,
+        e.g. in reports"""
+        value = self.env["base"]._web_widget_ckeditor_get_accepted_value(value)
+        return super().value_to_html(value, options)
+
+    def _register_hook(self):
+        """Removes the markers of the comments and the pending suggestions from
+        the rendered mail templates, e.g. ``${object.description}`` in emails.
+
+        The renderer of the mail templates is patched when the mail module is
+        installed, like base_automation patches the models, as this module
+        doesn't depend on it.
+        """
+        super()._register_hook()
+        if "mail.render.mixin" not in self.env:
+            return
+
+        def _render_template(self, *args, **kwargs):
+            rendered = _render_template.origin(self, *args, **kwargs)
+            Base = self.env["base"]
+            return {
+                res_id: Base._web_widget_ckeditor_get_accepted_value(value)
+                if isinstance(value, str)
+                else value
+                for res_id, value in rendered.items()
+            }
+
+        self.env["mail.render.mixin"]._patch_method(
+            "_render_template", _render_template
+        )
+
+    def _unregister_hook(self):
+        super()._unregister_hook()
+        if "mail.render.mixin" in self.env:
+            self.env["mail.render.mixin"]._revert_method("_render_template")
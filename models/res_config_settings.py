@@ -0,0 +1,89 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+from odoo import api, fields, models
+from odoo.exceptions import ValidationError
+
+
+class ResConfigSettings(models.TransientModel):
+    _inherit = "res.config.settings"
+
+    web_widget_ckeditor_toolbar = fields.Text(
+        string="CKEditor Toolbar",
+        config_parameter="web_widget_ckeditor.toolbar",
+        help="Toolbar items, separated by spaces, commas or new lines.",
+    )
+    web_widget_ckeditor_font_family = fields.Text(
+        string="CKEditor Font Families",
+        config_parameter="web_widget_ckeditor.font_family",
+        help="Font families, separated by commas or new lines.",
+    )
+    web_widget_ckeditor_font_size = fields.Char(
+        string="CKEditor Font Sizes",
+        config_parameter="web_widget_ckeditor.font_size",
+        help="Font sizes in pixels, or presets: tiny, small, default, big, huge.",
+    )
+    web_widget_ckeditor_font_color = fields.Text(
+        string="CKEditor Font Colors",
+        config_parameter="web_widget_ckeditor.font_color",
+        help='JSON list of colors, e.g. [{"color": "hsl(0, 0%, 0%)", '
+        '"label": "Black"}]',
+    )
+    web_widget_ckeditor_font_background_color = fields.Text(
+        string="CKEditor Font Background Colors",
+        config_parameter="web_widget_ckeditor.font_background_color",
+        help='JSON list of colors, e.g. [{"color": "hsl(0, 0%, 0%)", '
+        '"label": "Black"}]',
+    )
+    web_widget_ckeditor_heading = fields.Text(
+        string="CKEditor Headings",
+        config_parameter="web_widget_ckeditor.heading",
+        help='JSON list of headings, e.g. [{"model": "heading1", "view": "h1", '
+        '"title": "Heading 1"}]',
+    )
+    web_widget_ckeditor_image_toolbar = fields.Text(
+        string="CKEditor Image Toolbar",
+        config_parameter="web_widget_ckeditor.image_toolbar",
+        help="Image toolbar items, separated by spaces, commas or new lines.",
+    )
+    web_widget_ckeditor_table_toolbar = fields.Text(
+        string="CKEditor Table Toolbar",
+        config_parameter="web_widget_ckeditor.table_toolbar",
+        help="Table content toolbar items, separated by spaces, commas or new lines.",
+    )
+    web_widget_ckeditor_mention_models = fields.Char(
+        string="CKEditor Referenced Models",
+        config_parameter="web_widget_ckeditor.mention_models",
+        help="Models whose records can be referenced using #, separated by spaces "
+        "or commas, e.g. project.task, sale.order",
+    )
+    web_widget_ckeditor_image_max_size = fields.Char(
+        string="CKEditor Image Maximum Size",
+        config_parameter="web_widget_ckeditor.image_max_size",
+        help="Uploaded images are resized to fit this size in pixels, "
+        "e.g. 1920 or 1920x1080.",
+    )
+
+    @api.constrains(
+        "web_widget_ckeditor_toolbar",
+        "web_widget_ckeditor_font_family",
+        "web_widget_ckeditor_font_size",
+        "web_widget_ckeditor_font_color",
+        "web_widget_ckeditor_font_background_color",
+        "web_widget_ckeditor_heading",
+        "web_widget_ckeditor_image_toolbar",
+        "web_widget_ckeditor_table_toolbar",
+        "web_widget_ckeditor_mention_models",
+        "web_widget_ckeditor_image_max_size",
+    )
+    def _check_web_widget_ckeditor_config(self):
+        IrConfigParameter = self.env["ir.config_parameter"]
+        for rec in self:
+            for section in IrConfigParameter._get_web_widget_ckeditor_parsers():
+                value = rec["web_widget_ckeditor_%s" % section]
+                if not value:
+                    continue
+                try:
+                    IrConfigParameter._parse_web_widget_ckeditor_config(section, value)
+                except ValueError as error:
+                    raise ValidationError(str(error))
@@ -0,0 +1,47 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+from odoo import api, fields, models
+
+
+class WebWidgetCKEditorComment(models.Model):
+    _name = "web.widget.ckeditor.comment"
+    _description = "CKEditor Comment"
+    _order = "date, id"
+
+    res_model = fields.Char(required=True, index=True, readonly=True)
+    res_id = fields.Many2oneReference(
+        model_field="res_model", required=True, index=True, readonly=True
+    )
+    field_name = fields.Char(required=True, readonly=True)
+    parent_id = fields.Many2one(
+        "web.widget.ckeditor.comment", ondelete="cascade", readonly=True
+    )
+    child_ids = fields.One2many("web.widget.ckeditor.comment", "parent_id")
+    body = fields.Text(required=True)
+    author_id = fields.Many2one(
+        "res.users", default=lambda self: self.env.user, readonly=True
+    )
+    date = fields.Datetime(default=fields.Datetime.now, required=True, readonly=True)
+    resolved = fields.Boolean()
+
+    @api.model
+    def _get_threads(self, record, field_name):
+        """Returns the first comment of the threads of a field"""
+        return self.search(
+            [
+                ("res_model", "=", record._name),
+                ("res_id", "=", record.id),
+                ("field_name", "=", field_name),
+                ("parent_id", "=", False),
+            ]
+        )
+
+    def _read_comment(self):
+        self.ensure_one()
+        return {
+            "id": self.id,
+            "author": self.author_id.name or "",
+            "date": fields.Datetime.to_string(self.date),
+            "body": self.body,
+        }
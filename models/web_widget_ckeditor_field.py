@@ -0,0 +1,127 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+from odoo import api, fields, models, tools
+
+
+class WebWidgetCKEditorField(models.Model):
+    _name = "web.widget.ckeditor.field"
+    _description = "CKEditor Field Settings"
+    _rec_name = "field_id"
+
+    field_id = fields.Many2one(
+        "ir.model.fields",
+        required=True,
+        ondelete="cascade",
+        domain=[("ttype", "=", "html"), ("store", "=", True)],
+    )
+    model = fields.Char(related="field_id.model", store=True, index=True)
+    track_revisions = fields.Boolean(
+        help="Store a revision of the field's value, with its author and date, "
+        "every time it's changed.",
+    )
+    allow_comments = fields.Boolean(
+        help="Let users comment on the field's content, in threads displayed "
+        "next to the editor.",
+    )
+    unrestricted_group_id = fields.Many2one(
+        "res.groups",
+        help="Users outside of this group can only edit the regions marked as "
+        "editable, e.g. in the templates of contracts.",
+    )
+    reviewer_group_id = fields.Many2one(
+        "res.groups",
+        help="Users outside of this group can only suggest changes, that the "
+        "users of this group accept or reject, e.g. to review policies.",
+    )
+
+    _sql_constraints = [
+        (
+            "field_id_uniq",
+            "UNIQUE(field_id)",
+            "There are already settings for this field.",
+        )
+    ]
+
+    @api.model
+    @tools.ormcache()
+    def _get_configured_models(self):
+        """Returns the models with settings for some of their fields"""
+        return frozenset(self.sudo().search([]).mapped("model"))
+
+    @api.model
+    @tools.ormcache()
+    def _get_tracked_fields(self):
+        """Returns the names of the fields whose revisions are tracked, by model"""
+        res = {}
+        for settings in self.sudo().search([("track_revisions", "=", True)]):
+            res.setdefault(settings.model, []).append(settings.field_id.name)
+        return res
+
+    @api.model
+    @tools.ormcache()
+    def _get_commented_fields(self):
+        """Returns the names of the fields users can comment on, by model"""
+        res = {}
+        for settings in self.sudo().search([("allow_comments", "=", True)]):
+            res.setdefault(settings.model, []).append(settings.field_id.name)
+        return res
+
+    @api.model
+    @tools.ormcache("group_field")
+    def _get_groups(self, group_field):
+        """Returns the groups set in a group field of the settings, e.g.
+        ``unrestricted_group_id``, by model and field name"""
+        res = {}
+        for settings in self.sudo().search([(group_field, "!=", False)]):
+            groups = res.setdefault(settings.model, {})
+            groups[settings.field_id.name] = settings[group_field].id
+        return res
+
+    @api.model
+    def _get_fields_outside_group(self, group_field):
+        """Returns the names of the fields whose group, set in a group field
+        of the settings, the current user isn't part of, by model"""
+        group_ids = self.env.user.groups_id.ids
+        res = {}
+        for model, groups in self._get_groups(group_field).items():
+            field_names = [name for name, gid in groups.items() if gid not in group_ids]
+            if field_names:
+                res[model] = field_names
+        return res
+
+    @api.model
+    def _get_restricted_fields(self):
+        """Returns the names of the fields the current user can only edit
+        in restricted editing mode, by model"""
+        return self._get_fields_outside_group("unrestricted_group_id")
+
+    @api.model
+    def _get_reviewed_fields(self):
+        """Returns the names of the fields whose changes are reviewed, by model"""
+        return {
+            model: list(groups)
+            for model, groups in self._get_groups("reviewer_group_id").items()
+        }
+
+    @api.model
+    def _get_suggestion_fields(self):
+        """Returns the names of the fields the current user can only suggest
+        changes to, by model"""
+        return self._get_fields_outside_group("reviewer_group_id")
+
+    @api.model_create_multi
+    def create(self, vals_list):
+        records = super().create(vals_list)
+        self.clear_caches()
+        return records
+
+    def write(self, vals):
+        res = super().write(vals)
+        self.clear_caches()
+        return res
+
+    def unlink(self):
+        res = super().unlink()
+        self.clear_caches()
+        return res
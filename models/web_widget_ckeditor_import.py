@@ -0,0 +1,559 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+import base64
+import binascii
+import io
+import os
+import posixpath
+import re
+import zipfile
+
+from lxml import etree, html
+
+from odoo import _, api, models
+from odoo.exceptions import UserError
+from odoo.tools import html_sanitize
+
+# Maximum uncompressed size of a file read from a document, in bytes
+MAX_PART_SIZE = 50 * 1024 * 1024
+
+DOCX_NS = {
+    "w": "http://schemas.openxmlformats.org/wordprocessingml/2006/main",
+    "r": "http://schemas.openxmlformats.org/officeDocument/2006/relationships",
+    "a": "http://schemas.openxmlformats.org/drawingml/2006/main",
+    "v": "urn:schemas-microsoft-com:vml",
+    "rel": "http://schemas.openxmlformats.org/package/2006/relationships",
+}
+
+ODT_NS = {
+    "office": "urn:oasis:names:tc:opendocument:xmlns:office:1.0",
+    "style": "urn:oasis:names:tc:opendocument:xmlns:style:1.0",
+    "text": "urn:oasis:names:tc:opendocument:xmlns:text:1.0",
+    "table": "urn:oasis:names:tc:opendocument:xmlns:table:1.0",
+    "draw": "urn:oasis:names:tc:opendocument:xmlns:drawing:1.0",
+    "fo": "urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0",
+    "xlink": "http://www.w3.org/1999/xlink",
+}
+
+# Word paragraph styles, by lowercase name
+DOCX_HEADING_RE = re.compile(r"^heading (\d)$")
+DOCX_BLOCK_STYLES = {"title": "h1", "subtitle": "h2", "quote": "blockquote"}
+
+# Word run properties, and the html elements they're converted to
+DOCX_RUN_FORMATS = [("b", "strong"), ("i", "em"), ("u", "u"), ("strike", "s")]
+
+DATA_URI_RE = re.compile(r"^data:image/[\w.+-]+;base64,(.*)$", re.DOTALL)
+
+
+def _qname(namespaces, name):
+    """Returns the qualified name of ``prefix:name``, as used by lxml"""
+    prefix, name = name.split(":")
+    return "{%s}%s" % (namespaces[prefix], name)
+
+
+def _append_text(parent, text):
+    """Appends text at the end of an element, after its children"""
+    if not text:
+        return
+    if len(parent):
+        parent[-1].tail = (parent[-1].tail or "") + text
+    else:
+        parent.text = (parent.text or "") + text
+
+
+def _is_empty(element):
+    return not len(element) and not (element.text or "").strip()
+
+
+def _wrap(parent, tags):
+    """Creates nested ``tags`` elements in ``parent``, returns the innermost"""
+    for tag in tags:
+        parent = etree.SubElement(parent, tag)
+    return parent
+
+
+class DocumentImporter:
+    """Base class converting a zipped xml document to html.
+
+    :param data: the document's content
+    :param store_image: function storing an image, called with its name and
+        data. It returns the image's url, or None if it couldn't be stored.
+    """
+
+    namespaces = {}
+
+    def __init__(self, data, store_image):
+        self.zip = zipfile.ZipFile(io.BytesIO(data))
+        self.store_image = store_image
+
+    def qname(self, name):
+        return _qname(self.namespaces, name)
+
+    def read(self, path):
+        info = self.zip.getinfo(path)
+        if info.file_size > MAX_PART_SIZE:
+            raise UserError(_("The document is too large to be imported."))
+        return self.zip.read(info)
+
+    def read_xml(self, path):
+        if path not in self.zip.namelist():
+            return None
+        parser = etree.XMLParser(resolve_entities=False, no_network=True)
+        return etree.fromstring(self.read(path), parser=parser)
+
+    def add_image(self, parent, path):
+        if path not in self.zip.namelist():
+            return
+        url = self.store_image(posixpath.basename(path), self.read(path))
+        if url:
+            etree.SubElement(parent, "img", src=url)
+
+    def convert(self):
+        """Returns the document, as html"""
+        body = self.get_body()
+        if body is None:
+            raise UserError(_("The document has no text to import."))
+        root = etree.Element("div")
+        self.add_blocks(root, body)
+        return (root.text or "") + "".join(
+            etree.tostring(child, encoding="unicode", method="html") for child in root
+        )
+
+    def get_body(self):
+        """Returns the node holding the document's blocks, or None"""
+        raise NotImplementedError()
+
+    def add_blocks(self, parent, node):
+        raise NotImplementedError()
+
+
+class DocxImporter(DocumentImporter):
+    """Converts Office Open XML documents (.docx) to html"""
+
+    namespaces = DOCX_NS
+
+    def __init__(self, data, store_image):
+        super().__init__(data, store_image)
+        self.relationships = self._read_relationships()
+        self.styles = self._read_styles()
+        self.ordered_lists = self._read_numbering()
+
+    def _read_relationships(self):
+        """Returns the targets of the document's relationships, by id"""
+        root = self.read_xml("word/_rels/document.xml.rels")
+        if root is None:
+            return {}
+        return {
+            rel.get("Id"): rel for rel in root.iterfind("rel:Relationship", DOCX_NS)
+        }
+
+    def _read_styles(self):
+        """Returns the lowercase names of the styles, by id"""
+        root = self.read_xml("word/styles.xml")
+        if root is None:
+            return {}
+        return {
+            style.get(self.qname("w:styleId")): (
+                style.find("w:name", DOCX_NS).get(self.qname("w:val")).lower()
+            )
+            for style in root.iterfind("w:style", DOCX_NS)
+            if style.find("w:name", DOCX_NS) is not None
+        }
+
+    def _read_numbering(self):
+        """Returns whether lists are ordered, by numbering id and level"""
+        root = self.read_xml("word/numbering.xml")
+        if root is None:
+            return {}
+        abstract = {}
+        for abstract_num in root.iterfind("w:abstractNum", DOCX_NS):
+            abstract_id = abstract_num.get(self.qname("w:abstractNumId"))
+            for lvl in abstract_num.iterfind("w:lvl", DOCX_NS):
+                num_fmt = lvl.find("w:numFmt", DOCX_NS)
+                abstract[abstract_id, lvl.get(self.qname("w:ilvl"))] = (
+                    num_fmt is not None and num_fmt.get(self.qname("w:val")) != "bullet"
+                )
+        res = {}
+        for num in root.iterfind("w:num", DOCX_NS):
+            abstract_id = num.find("w:abstractNumId", DOCX_NS).get(self.qname("w:val"))
+            for (key, level), ordered in abstract.items():
+                if key == abstract_id:
+                    res[num.get(self.qname("w:numId")), level] = ordered
+        return res
+
+    def _get_val(self, node, path):
+        element = node.find(path, DOCX_NS)
+        if element is None:
+            return None
+        return element.get(self.qname("w:val"), "")
+
+    def get_body(self):
+        document = self.read_xml("word/document.xml")
+        if document is None:
+            return None
+        return document.find("w:body", DOCX_NS)
+
+    def add_blocks(self, parent, node):
+        lists = []
+        for child in node:
+            if child.tag == self.qname("w:p"):
+                num_id = self._get_val(child, "w:pPr/w:numPr/w:numId")
+                if num_id and num_id != "0":
+                    level = int(self._get_val(child, "w:pPr/w:numPr/w:ilvl") or 0)
+                    self._add_list_item(parent, lists, child, num_id, level)
+                    continue
+                self._add_paragraph(parent, child)
+            elif child.tag == self.qname("w:tbl"):
+                self._add_table(parent, child)
+            elif child.tag == self.qname("w:sdt"):
+                content = child.find("w:sdtContent", DOCX_NS)
+                if content is not None:
+                    self.add_blocks(parent, content)
+            else:
+                continue
+            lists = []
+
+    def _add_paragraph(self, parent, node):
+        style = self.styles.get(self._get_val(node, "w:pPr/w:pStyle"), "")
+        heading = DOCX_HEADING_RE.match(style)
+        tag = "h%s" % heading.group(1) if heading else "p"
+        tag = DOCX_BLOCK_STYLES.get(style, tag)
+        element = etree.SubElement(parent, tag)
+        self._add_inline(element, node)
+        if _is_empty(element):
+            parent.remove(element)
+
+    def _add_list_item(self, parent, lists, node, num_id, level):
+        """Adds a list item, nesting the lists according to their level.
+
+        :param lists: stack of the current lists, as (level, ordered, element)
+        """
+        ordered = self.ordered_lists.get((num_id, str(level)), False)
+        while lists and (
+            lists[-1][0] > level or (lists[-1][0] == level and lists[-1][1] != ordered)
+        ):
+            lists.pop()
+        if not lists or lists[-1][0] < level:
+            container = lists[-1][2][-1] if lists else parent
+            element = etree.SubElement(container, "ol" if ordered else "ul")
+            lists.append((level, ordered, element))
+        item = etree.SubElement(lists[-1][2], "li")
+        self._add_inline(item, node)
+
+    def _add_table(self, parent, node):
+        table = etree.SubElement(parent, "table")
+        thead = etree.SubElement(table, "thead")
+        tbody = etree.SubElement(table, "tbody")
+        # Cells merged vertically, by column
+        merged = {}
+        for row in node.iterfind("w:tr", DOCX_NS):
+            header = row.find("w:trPr/w:tblHeader", DOCX_NS) is not None
+            tr = etree.SubElement(thead if header else tbody, "tr")
+            column = 0
+            for cell in row.iterfind("w:tc", DOCX_NS):
+                span = int(self._get_val(cell, "w:tcPr/w:gridSpan") or 1)
+                vmerge = self._get_val(cell, "w:tcPr/w:vMerge")
+                if vmerge is not None and vmerge != "restart":
+                    td = merged.get(column)
+                    if td is not None:
+                        td.set("rowspan", str(int(td.get("rowspan", "1")) + 1))
+                    column += span
+                    continue
+                td = etree.SubElement(tr, "th" if header else "td")
+                if span > 1:
+                    td.set("colspan", str(span))
+                if vmerge == "restart":
+                    merged[column] = td
+                else:
+                    merged.pop(column, None)
+                self.add_blocks(td, cell)
+                column += span
+        for section in (thead, tbody):
+            if not len(section):
+                table.remove(section)
+
+    def _add_inline(self, parent, node):
+        for child in node:
+            if child.tag == self.qname("w:r"):
+                self._add_run(parent, child)
+            elif child.tag == self.qname("w:hyperlink"):
+                link = etree.SubElement(parent, "a")
+                relationship = self.relationships.get(child.get(self.qname("r:id")))
+                if relationship is not None:
+                    link.set("href", relationship.get("Target"))
+                elif child.get(self.qname("w:anchor")):
+                    link.set("href", "#%s" % child.get(self.qname("w:anchor")))
+                self._add_inline(link, child)
+            elif child.tag in (
+                self.qname("w:ins"),
+                self.qname("w:smartTag"),
+                self.qname("w:fldSimple"),
+            ):
+                self._add_inline(parent, child)
+            elif child.tag == self.qname("w:sdt"):
+                content = child.find("w:sdtContent", DOCX_NS)
+                if content is not None:
+                    self._add_inline(parent, content)
+
+    def _add_run(self, parent, node):
+        tags = []
+        for prop, tag in DOCX_RUN_FORMATS:
+            val = self._get_val(node, "w:rPr/w:%s" % prop)
+            if val is not None and val not in ("0", "false", "none"):
+                tags.append(tag)
+        vert_align = self._get_val(node, "w:rPr/w:vertAlign")
+        if vert_align in ("superscript", "subscript"):
+            tags.append(vert_align[:3])
+        element = _wrap(parent, tags)
+        for child in node:
+            if child.tag == self.qname("w:t"):
+                _append_text(element, child.text)
+            elif child.tag == self.qname("w:tab"):
+                _append_text(element, "\t")
+            elif child.tag in (self.qname("w:br"), self.qname("w:cr")):
+                etree.SubElement(element, "br")
+            elif child.tag in (self.qname("w:drawing"), self.qname("w:pict")):
+                for blip in child.iterfind(".//a:blip", DOCX_NS):
+                    self._add_image(element, blip.get(self.qname("r:embed")))
+                for image in child.iterfind(".//v:imagedata", DOCX_NS):
+                    self._add_image(element, image.get(self.qname("r:id")))
+        # Remove the formatting of empty runs
+        if tags and _is_empty(element):
+            parent.remove(parent[-1])
+
+    def _add_image(self, parent, relationship_id):
+        relationship = self.relationships.get(relationship_id)
+        if relationship is None or relationship.get("TargetMode") == "External":
+            return
+        path = posixpath.normpath(posixpath.join("word", relationship.get("Target")))
+        self.add_image(parent, path)
+
+
+class OdtImporter(DocumentImporter):
+    """Converts OpenDocument texts (.odt) to html"""
+
+    namespaces = ODT_NS
+
+    def __init__(self, data, store_image):
+        super().__init__(data, store_image)
+        self.content = self.read_xml("content.xml")
+        self.text_styles = {}
+        self.list_styles = {}
+        for root in (self.read_xml("styles.xml"), self.content):
+            if root is not None:
+                self._read_styles(root)
+
+    def _read_styles(self, root):
+        """Reads the formatting of the text styles, and whether lists are ordered"""
+        for style in root.iterfind(".//style:style", ODT_NS):
+            props = style.find("style:text-properties", ODT_NS)
+            tags = []
+            if props is not None:
+                if props.get(self.qname("fo:font-weight")) == "bold":
+                    tags.append("strong")
+                if props.get(self.qname("fo:font-style")) == "italic":
+                    tags.append("em")
+                underline = props.get(self.qname("style:text-underline-style"))
+                if underline not in (None, "none"):
+                    tags.append("u")
+                line_through = props.get(self.qname("style:text-line-through-style"))
+                if line_through not in (None, "none"):
+                    tags.append("s")
+                position = props.get(self.qname("style:text-position"), "")
+                if position.startswith("super") or position.startswith("33%"):
+                    tags.append("sup")
+                elif position.startswith("sub") or position.startswith("-33%"):
+                    tags.append("sub")
+            self.text_styles[style.get(self.qname("style:name"))] = (
+                tags,
+                style.get(self.qname("style:parent-style-name")),
+            )
+        for style in root.iterfind(".//text:list-style", ODT_NS):
+            self.list_styles[style.get(self.qname("style:name"))] = {
+                level.get(self.qname("text:level")): level.tag
+                == self.qname("text:list-level-style-number")
+                for level in style
+            }
+
+    def _get_style_tags(self, name):
+        tags = []
+        # Styles inherit the formatting of their parent style
+        seen = set()
+        while name and name not in seen:
+            seen.add(name)
+            style_tags, name = self.text_styles.get(name, ([], None))
+            tags += [tag for tag in style_tags if tag not in tags]
+        return tags
+
+    def get_body(self):
+        if self.content is None:
+            return None
+        return self.content.find("office:body/office:text", ODT_NS)
+
+    def add_blocks(self, parent, node):
+        for child in node:
+            if child.tag in (self.qname("text:p"), self.qname("text:h")):
+                self._add_paragraph(parent, child)
+            elif child.tag == self.qname("text:list"):
+                self._add_list(parent, child)
+            elif child.tag == self.qname("table:table"):
+                self._add_table(parent, child)
+            elif child.tag == self.qname("text:section"):
+                self.add_blocks(parent, child)
+
+    def _add_paragraph(self, parent, node):
+        if node.tag == self.qname("text:h"):
+            level = int(node.get(self.qname("text:outline-level")) or 1)
+            tag = "h%s" % min(max(level, 1), 6)
+        else:
+            tag = "p"
+        element = etree.SubElement(parent, tag)
+        tags = self._get_style_tags(node.get(self.qname("text:style-name")))
+        inner = _wrap(element, tags)
+        self._add_inline(inner, node)
+        if _is_empty(inner):
+            parent.remove(element)
+
+    def _add_list(self, parent, node, style_name=None, level=1):
+        # Nested lists use the style of the top-level list
+        style_name = node.get(self.qname("text:style-name")) or style_name
+        ordered = self.list_styles.get(style_name, {}).get(str(level), False)
+        element = etree.SubElement(parent, "ol" if ordered else "ul")
+        for item in node:
+            if item.tag not in (
+                self.qname("text:list-item"),
+                self.qname("text:list-header"),
+            ):
+                continue
+            li = etree.SubElement(element, "li")
+            for child in item:
+                if child.tag == self.qname("text:list"):
+                    self._add_list(li, child, style_name, level + 1)
+                elif child.tag in (self.qname("text:p"), self.qname("text:h")):
+                    if not _is_empty(li):
+                        etree.SubElement(li, "br")
+                    self._add_inline(li, child)
+
+    def _add_table(self, parent, node):
+        table = etree.SubElement(parent, "table")
+        for section, rows in (
+            ("thead", "table:table-header-rows/table:table-row"),
+            (
+                "tbody",
+                "table:table-row | table:table-rows/table:table-row"
+                " | table:table-row-group/table:table-row",
+            ),
+        ):
+            container = etree.SubElement(table, section)
+            for row in node.xpath(rows, namespaces=ODT_NS):
+                tr = etree.SubElement(container, "tr")
+                for cell in row.iterfind("table:table-cell", ODT_NS):
+                    td = etree.SubElement(tr, "th" if section == "thead" else "td")
+                    for attr, span in (
+                        ("colspan", "table:number-columns-spanned"),
+                        ("rowspan", "table:number-rows-spanned"),
+                    ):
+                        if int(cell.get(self.qname(span)) or 1) > 1:
+                            td.set(attr, cell.get(self.qname(span)))
+                    self.add_blocks(td, cell)
+            if not len(container):
+                table.remove(container)
+
+    def _add_inline(self, parent, node):
+        _append_text(parent, node.text)
+        for child in node:
+            if child.tag == self.qname("text:span"):
+                tags = self._get_style_tags(child.get(self.qname("text:style-name")))
+                self._add_inline(_wrap(parent, tags), child)
+            elif child.tag == self.qname("text:a"):
+                link = etree.SubElement(parent, "a")
+                if child.get(self.qname("xlink:href")):
+                    link.set("href", child.get(self.qname("xlink:href")))
+                self._add_inline(link, child)
+            elif child.tag == self.qname("text:line-break"):
+                etree.SubElement(parent, "br")
+            elif child.tag == self.qname("text:tab"):
+                _append_text(parent, "\t")
+            elif child.tag == self.qname("text:s"):
+                _append_text(parent, " " * int(child.get(self.qname("text:c")) or 1))
+            elif child.tag == self.qname("draw:frame"):
+                for image in child.iterfind("draw:image", ODT_NS):
+                    self.add_image(parent, image.get(self.qname("xlink:href")) or "")
+            elif child.tag not in (
+                self.qname("text:note"),
+                self.qname("office:annotation"),
+                self.qname("text:bookmark"),
+                self.qname("text:soft-page-break"),
+            ):
+                # Fields, e.g. dates, are imported as their text
+                self._add_inline(parent, child)
+            _append_text(parent, child.tail)
+
+
+class WebWidgetCKEditorImport(models.AbstractModel):
+    _name = "web.widget.ckeditor.import"
+    _description = "CKEditor File Import"
+
+    @api.model
+    def _get_import_methods(self):
+        """Returns the methods converting files to html, by file extension"""
+        return {
+            ".docx": self._import_docx,
+            ".odt": self._import_odt,
+            ".html": self._import_html,
+            ".htm": self._import_html,
+        }
+
+    @api.model
+    def _import_file(self, filename, data, store_image):
+        """Converts a file to html, keeping its headings, lists, tables and images.
+
+        :param filename: the file's name, defining its format
+        :param data: the file's content
+        :param store_image: function storing an image, called with its name and
+            data. It returns the image's url, or None if it couldn't be stored.
+        :return: the sanitized html
+        """
+        extension = os.path.splitext(filename or "")[1].lower()
+        method = self._get_import_methods().get(extension)
+        if not method:
+            raise UserError(_("Files of type %s can't be imported.") % extension)
+        try:
+            value = method(data, store_image)
+        except (zipfile.BadZipFile, KeyError, etree.XMLSyntaxError) as error:
+            raise UserError(_("The file %s can't be read.") % filename) from error
+        return html_sanitize(value)
+
+    @api.model
+    def _import_docx(self, data, store_image):
+        return DocxImporter(data, store_image).convert()
+
+    @api.model
+    def _import_odt(self, data, store_image):
+        return OdtImporter(data, store_image).convert()
+
+    @api.model
+    def _import_html(self, data, store_image):
+        """Imports the body of an html document. Embedded images, using data
+        uris, are stored as images."""
+        document = html.document_fromstring(data)
+        body = document.find("body")
+        if body is None:
+            body = document
+        for image in list(body.iter("img")):
+            match = DATA_URI_RE.match(image.get("src") or "")
+            if not match:
+                continue
+            try:
+                data = base64.b64decode(match[1])
+            except binascii.Error:
+                data = None
+            url = data and store_image(image.get("alt") or "image", data)
+            if url:
+                image.set("src", url)
+            else:
+                image.drop_tree()
+        return (body.text or "") + "".join(
+            etree.tostring(child, encoding="unicode", method="html") for child in body
+        )
@@ -0,0 +1,57 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+import re
+
+from odoo import _, api, models
+from odoo.exceptions import AccessError, UserError
+from odoo.tools.mail import html_sanitize
+
+# Placeholders of templates, e.g. ${object.partner_id.name}, outside of html tags
+PLACEHOLDER_RE = re.compile(r"(<[^>]*>)|(\$\{[^}]*\})")
+
+
+class WebWidgetCKEditorPlaceholder(models.AbstractModel):
+    _name = "web.widget.ckeditor.placeholder"
+    _description = "CKEditor Placeholder Preview"
+
+    @api.model
+    def _can_preview(self):
+        """Templates are rendered with the renderer of the mail templates, when
+        the mail module is installed. Only template editors can render
+        placeholders, as they're code."""
+        if "mail.render.mixin" not in self.env:
+            return False
+        if self.env.is_system():
+            return True
+        group = self.env.ref("mail.group_mail_template_editor", False)
+        return bool(group) and group in self.env.user.groups_id
+
+    @api.model
+    def render_preview(self, model, res_id, value):
+        """Renders an html value where the placeholders, e.g.
+        ``${object.partner_id.name}``, are replaced by their value for a
+        record of the template's model, with the templates' renderer.
+
+        :returns: the sanitized html value
+        """
+        if not self._can_preview():
+            raise AccessError(_("Only template editors can preview templates."))
+        if model not in self.env:
+            raise UserError(_("Unknown model: %s") % model)
+        record = self.env[model].browse(res_id)
+        record.check_access_rights("read")
+        record.check_access_rule("read")
+
+        def highlight(match):
+            if match.group(1):
+                return match.group(1)
+            return '<span class="o_ckeditor_placeholder_value">%s</span>' % (
+                match.group(2)
+            )
+
+        value = PLACEHOLDER_RE.sub(highlight, value or "")
+        rendered = self.env["mail.render.mixin"]._render_template(
+            value, model, record.ids, engine="jinja"
+        )
+        return html_sanitize(rendered[record.id])
@@ -0,0 +1,139 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+import re
+from difflib import SequenceMatcher
+
+from odoo import api, fields, models
+
+# Html tags, words and whitespaces
+DIFF_TOKEN_RE = re.compile(r"<[^>]*>|[^<\s]+|\s+")
+
+
+def _wrap_text(tokens, tag):
+    """Wraps the text of html tokens in ``tag``, leaving the markup untouched"""
+    res = []
+    text = []
+    for token in tokens + ["<"]:
+        if token.startswith("<"):
+            if "".join(text).strip():
+                res.append("<%s>%s</%s>" % (tag, "".join(text), tag))
+            else:
+                res.extend(text)
+            text = []
+            res.append(token)
+        else:
+            text.append(token)
+    return res[:-1]
+
+
+def html_diff(old, new):
+    """Returns the ``new`` html value, where the inserted text is wrapped in
+    ``<ins>`` elements, and the deleted text is added in ``<del>`` elements.
+
+    The markup of the new value is kept, and the deleted markup is dropped,
+    so that the result is valid html.
+    """
+    old_tokens = DIFF_TOKEN_RE.findall(old or "")
+    new_tokens = DIFF_TOKEN_RE.findall(new or "")
+    matcher = SequenceMatcher(None, old_tokens, new_tokens, autojunk=False)
+    res = []
+    for op, i1, i2, j1, j2 in matcher.get_opcodes():
+        if op == "equal":
+            res.extend(new_tokens[j1:j2])
+            continue
+        if op in ("delete", "replace"):
+            deleted = [t for t in old_tokens[i1:i2] if not t.startswith("<")]
+            res.extend(_wrap_text(deleted, "del"))
+        if op in ("insert", "replace"):
+            res.extend(_wrap_text(new_tokens[j1:j2], "ins"))
+    return "".join(res)
+
+
+def _get_matches(base, other):
+    """Returns the index of the blocks of ``other`` equal to the blocks of
+    ``base``, by index of the ``base`` blocks"""
+    matcher = SequenceMatcher(None, base, other, autojunk=False)
+    return {
+        i + k: j + k
+        for i, j, size in matcher.get_matching_blocks()
+        for k in range(size)
+    }
+
+
+def _get_chunk(blocks, origin):
+    return {"value": "".join(blocks), "origin": origin, "conflict": False}
+
+
+def merge_blocks(base, mine, theirs):
+    """Three-way merge of lists of blocks, changed from the same ``base``.
+
+    The blocks are split in chunks, either unchanged, changed on one side only,
+    or changed differently on both sides, i.e. conflicts.
+
+    :returns: list of dicts, with ``conflict``, and either the chunk's ``value``
+        and its ``origin``, or the ``base``, ``mine`` and ``theirs`` values
+        of a conflict
+    """
+    mine_matches = _get_matches(base, mine)
+    theirs_matches = _get_matches(base, theirs)
+    chunks = []
+    i = a = b = 0
+    while True:
+        # Next base block unchanged on both sides
+        j = i
+        while j < len(base) and not (
+            mine_matches.get(j, -1) >= a and theirs_matches.get(j, -1) >= b
+        ):
+            j += 1
+        if j < len(base):
+            aj, bj = mine_matches[j], theirs_matches[j]
+        else:
+            aj, bj = len(mine), len(theirs)
+        chunk_base, chunk_mine, chunk_theirs = base[i:j], mine[a:aj], theirs[b:bj]
+        if chunk_mine == chunk_base:
+            if chunk_theirs:
+                chunks.append(_get_chunk(chunk_theirs, "theirs"))
+        elif chunk_theirs == chunk_base or chunk_mine == chunk_theirs:
+            if chunk_mine:
+                chunks.append(_get_chunk(chunk_mine, "mine"))
+        else:
+            chunks.append(
+                {
+                    "base": "".join(chunk_base),
+                    "mine": "".join(chunk_mine),
+                    "theirs": "".join(chunk_theirs),
+                    "conflict": True,
+                }
+            )
+        if j == len(base):
+            return chunks
+        chunks.append(_get_chunk([base[j]], "base"))
+        i, a, b = j + 1, aj + 1, bj + 1
+
+
+class WebWidgetCKEditorRevision(models.Model):
+    _name = "web.widget.ckeditor.revision"
+    _description = "CKEditor Revision"
+    _order = "date desc, id desc"
+
+    res_model = fields.Char(required=True, index=True, readonly=True)
+    res_id = fields.Many2oneReference(
+        model_field="res_model", required=True, index=True, readonly=True
+    )
+    field_name = fields.Char(required=True, readonly=True)
+    value = fields.Html(sanitize=False, readonly=True)
+    author_id = fields.Many2one(
+        "res.users", default=lambda self: self.env.user, readonly=True
+    )
+    date = fields.Datetime(default=fields.Datetime.now, required=True, readonly=True)
+
+    @api.model
+    def _get_revisions(self, record, field_name):
+        return self.search(
+            [
+                ("res_model", "=", record._name),
+                ("res_id", "=", record.id),
+                ("field_name", "=", field_name),
+            ]
+        )
@@ -0,0 +1,133 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+import re
+
+from odoo import _, api, fields, models
+from odoo.exceptions import ValidationError
+
+CLASS_NAME_RE = re.compile(r"^-?[_a-zA-Z][_a-zA-Z0-9-]*$")
+CSS_PROPERTY_RE = re.compile(r"^-{0,2}[a-zA-Z][a-zA-Z0-9-]*$")
+CSS_FORBIDDEN_RE = re.compile(r"[{}<>\\]|/\*|expression\s*\(|javascript:", re.I)
+
+# Content scopes the styles apply to: the editor and readonly mode, and reports
+CONTENT_SELECTORS = (".ck-content", ".article")
+
+
+class WebWidgetCKEditorStyle(models.Model):
+    _name = "web.widget.ckeditor.style"
+    _description = "CKEditor Style"
+    _order = "sequence, id"
+
+    name = fields.Char(required=True, translate=True)
+    sequence = fields.Integer(default=10)
+    active = fields.Boolean(default=True)
+    company_id = fields.Many2one(
+        "res.company",
+        default=lambda self: self.env.company,
+        help="Leave empty to share the style with all companies.",
+    )
+    element = fields.Selection(
+        [
+            ("p", "Paragraph"),
+            ("h1", "Heading 1"),
+            ("h2", "Heading 2"),
+            ("h3", "Heading 3"),
+            ("h4", "Heading 4"),
+            ("h5", "Heading 5"),
+            ("h6", "Heading 6"),
+            ("blockquote", "Block quote"),
+            ("pre", "Code block"),
+            ("ul", "Bulleted list"),
+            ("ol", "Numbered list"),
+            ("li", "List item"),
+            ("table", "Table"),
+            ("figure", "Figure"),
+            ("span", "Text"),
+            ("code", "Inline code"),
+            ("a", "Link"),
+        ],
+        required=True,
+        default="p",
+    )
+    class_name = fields.Char(
+        string="Class",
+        required=True,
+        help="CSS class added to the element, e.g. info-box",
+    )
+    css = fields.Text(
+        string="CSS Properties",
+        help="CSS declarations applied to the styled elements, e.g.\n"
+        "color: #e91e63;\nfont-size: 20px;",
+    )
+
+    @api.constrains("class_name")
+    def _check_class_name(self):
+        for rec in self:
+            if not CLASS_NAME_RE.match(rec.class_name):
+                raise ValidationError(
+                    _("'%s' is not a valid CSS class name.") % rec.class_name
+                )
+
+    @api.constrains("css")
+    def _check_css(self):
+        for rec in self:
+            rec._get_css_declarations()
+
+    def _get_css_declarations(self):
+        """Parses the CSS properties.
+
+        :raises ValidationError: when the properties are not valid.
+        :returns: list of (property, value)
+        """
+        self.ensure_one()
+        res = []
+        for declaration in (self.css or "").split(";"):
+            if not declaration.strip():
+                continue
+            prop, sep, value = declaration.partition(":")
+            prop, value = prop.strip(), value.strip()
+            if (
+                not sep
+                or not CSS_PROPERTY_RE.match(prop)
+                or not value
+                or CSS_FORBIDDEN_RE.search(value)
+            ):
+                raise ValidationError(
+                    _("Invalid CSS declaration in style %(name)s: %(declaration)s")
+                    % {"name": self.name, "declaration": declaration.strip()}
+                )
+            res.append((prop, value))
+        return res
+
+    def _get_css_rule(self):
+        self.ensure_one()
+        declarations = self._get_css_declarations()
+        if not declarations:
+            return ""
+        selector = "%s.%s" % (self.element, self.class_name)
+        return "%s {\n%s\n}\n" % (
+            ",\n".join("%s %s" % (scope, selector) for scope in CONTENT_SELECTORS),
+            "\n".join("    %s: %s;" % declaration for declaration in declarations),
+        )
+
+    @api.model
+    def get_web_widget_ckeditor_css(self):
+        """Returns the stylesheet of the styles available to the user"""
+        rules = [style._get_css_rule() for style in self.search([])]
+        return "\n".join(rule for rule in rules if rule)
+
+    @api.model
+    def get_web_widget_ckeditor_definitions(self):
+        """Returns the style definitions of the current company, for the editor"""
+        styles = self.search(
+            [("company_id", "in", [False, self.env.company.id])],
+        )
+        return [
+            {
+                "name": style.name,
+                "element": style.element,
+                "classes": [style.class_name],
+            }
+            for style in styles
+        ]
@@ -0,0 +1,42 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+from odoo import api, fields, models
+
+
+class WebWidgetCKEditorTemplate(models.Model):
+    _name = "web.widget.ckeditor.template"
+    _description = "CKEditor Template"
+    _order = "sequence, name, id"
+
+    name = fields.Char(required=True, translate=True)
+    sequence = fields.Integer(default=10)
+    active = fields.Boolean(default=True)
+    body = fields.Html(translate=True)
+    model_ids = fields.Many2many(
+        "ir.model",
+        string="Models",
+        help="Models where the template can be inserted. "
+        "Leave empty to allow it everywhere.",
+    )
+    group_ids = fields.Many2many(
+        "res.groups",
+        string="Groups",
+        help="Groups allowed to use the template. Leave empty to allow everyone.",
+    )
+
+    @api.model
+    def get_web_widget_ckeditor_templates(self, model=False):
+        """Returns the templates available for a model.
+
+        The templates restricted to other groups are filtered by record rules.
+
+        :returns: list of dict with the ``id`` and ``name``
+        """
+        domain = [("model_ids", "=", False)]
+        if model:
+            domain = ["|", ("model_ids.model", "=", model)] + domain
+        return [
+            {"id": template.id, "name": template.name}
+            for template in self.search(domain)
+        ]
@@ -0,0 +1,324 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.accessibility", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const {addToolbarButton} = require("web_widget_ckeditor.toolbar");
+    const _t = core._t;
+
+    const IMAGE_ELEMENTS = ["imageBlock", "imageInline"];
+    // Minimum contrast ratio of normal text, see WCAG 2.1 success criterion 1.4.3
+    const MIN_CONTRAST_RATIO = 4.5;
+    const DEFAULT_COLOR = "#000000";
+    const DEFAULT_BACKGROUND_COLOR = "#ffffff";
+
+    let colorContext = undefined;
+
+    /**
+     * Parses a CSS color, e.g. `hsl(0, 75%, 60%)`, using a canvas.
+     *
+     * @param {String} color
+     * @returns {Number[]|undefined} the red, green and blue components, from
+     *   0 to 255, or undefined if the color is invalid
+     */
+    function parseColor(color) {
+        if (!colorContext) {
+            colorContext = document.createElement("canvas").getContext("2d");
+        }
+        // Invalid colors are ignored, and leave the previous color
+        colorContext.fillStyle = "#000000";
+        colorContext.fillStyle = color;
+        const first = colorContext.fillStyle;
+        colorContext.fillStyle = "#ffffff";
+        colorContext.fillStyle = color;
+        if (first !== colorContext.fillStyle) {
+            return undefined;
+        }
+        const hex = first.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+        if (hex) {
+            return hex.slice(1).map((component) => parseInt(component, 16));
+        }
+        // Translucent colors are serialized as rgba(), their alpha is ignored
+        return first
+            .match(/[\d.]+/g)
+            .slice(0, 3)
+            .map(Number);
+    }
+
+    /**
+     * @param {Number[]} rgb
+     * @returns {Number} the relative luminance, as defined by WCAG 2.1
+     */
+    function getLuminance(rgb) {
+        const [r, g, b] = rgb.map((component) => {
+            const value = component / 255;
+            return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    /**
+     * @param {String} color
+     * @param {String} backgroundColor
+     * @returns {Number|undefined} the contrast ratio, from 1 to 21, or
+     *   undefined if a color is invalid
+     */
+    function getContrastRatio(color, backgroundColor) {
+        const rgb = parseColor(color);
+        const backgroundRgb = parseColor(backgroundColor);
+        if (!rgb || !backgroundRgb) {
+            return undefined;
+        }
+        const luminances = [getLuminance(rgb), getLuminance(backgroundRgb)];
+        return (Math.max(...luminances) + 0.05) / (Math.min(...luminances) + 0.05);
+    }
+
+    /**
+     * @param {Editor} editor
+     * @returns {Object} the level of the headings, by model element name
+     */
+    function getHeadingLevels(editor) {
+        const levels = {};
+        for (const option of editor.config.get("heading.options") || []) {
+            const view = option.view && (option.view.name || option.view);
+            const match = typeof view === "string" && view.match(/^h([1-6])$/);
+            if (match) {
+                levels[option.model] = parseInt(match[1], 10);
+            }
+        }
+        return levels;
+    }
+
+    /**
+     * Selects an issue's content, and scrolls to it.
+     *
+     * @param {Editor} editor
+     * @param {Object} issue see `checkAccessibility`
+     */
+    function selectIssue(editor, issue) {
+        editor.model.change((writer) => {
+            if (issue.element) {
+                writer.setSelection(issue.element, "on");
+            } else {
+                writer.setSelection(issue.range);
+            }
+        });
+        editor.editing.view.focus();
+        editor.editing.view.scrollToTheSelection();
+    }
+
+    /**
+     * @param {Editor} editor
+     * @param {Element} image
+     * @returns {Object|undefined} the issue, see `checkAccessibility`
+     */
+    function checkImage(editor, image) {
+        if (image.getAttribute("alt")) {
+            return undefined;
+        }
+        const issue = {
+            severity: "error",
+            message: _t("Image without alternative text"),
+            element: image,
+        };
+        if (editor.ui.componentFactory.has("imageTextAlternative")) {
+            issue.fix = {
+                label: _t("Add text"),
+                apply: () => {
+                    selectIssue(editor, issue);
+                    // Opens the balloon of the selected image's text
+                    editor.ui.componentFactory
+                        .create("imageTextAlternative")
+                        .fire("execute");
+                },
+            };
+        }
+        return issue;
+    }
+
+    /**
+     * @param {Editor} editor
+     * @param {Element} heading
+     * @param {Object} levels see `getHeadingLevels`
+     * @param {Number} [previousLevel] the level of the previous heading
+     * @returns {Object|undefined} the issue, see `checkAccessibility`
+     */
+    function checkHeading(editor, heading, levels, previousLevel) {
+        const level = levels[heading.name];
+        if (!previousLevel || level <= previousLevel + 1) {
+            return undefined;
+        }
+        const issue = {
+            severity: "warning",
+            message: _.str.sprintf(
+                _t("Heading level %s after a heading level %s"),
+                level,
+                previousLevel
+            ),
+            element: heading,
+        };
+        const expected = _.findKey(levels, (value) => value === previousLevel + 1);
+        if (expected) {
+            issue.fix = {
+                label: _.str.sprintf(_t("Use level %s"), previousLevel + 1),
+                apply: () => {
+                    selectIssue(editor, {range: editor.model.createRangeIn(heading)});
+                    editor.execute("heading", {value: expected});
+                },
+            };
+        }
+        return issue;
+    }
+
+    /**
+     * @param {Editor} editor
+     * @param {Element} table
+     * @returns {Object|undefined} the issue, see `checkAccessibility`
+     */
+    function checkTable(editor, table) {
+        if (table.getAttribute("headingRows")) {
+            return undefined;
+        }
+        const issue = {
+            severity: "warning",
+            message: _t("Table without header row"),
+            element: table,
+        };
+        const row = table.getChild(0);
+        if (
+            row &&
+            row.is("element", "tableRow") &&
+            editor.commands.get("setTableRowHeader")
+        ) {
+            issue.fix = {
+                label: _t("Add header row"),
+                apply: () => {
+                    const position = editor.model.createPositionAt(row.getChild(0), 0);
+                    selectIssue(editor, {range: editor.model.createRange(position)});
+                    editor.execute("setTableRowHeader");
+                },
+            };
+        }
+        return issue;
+    }
+
+    /**
+     * @param {Editor} editor
+     * @param {TextProxy} text
+     * @returns {Object|undefined} the issue, see `checkAccessibility`
+     */
+    function checkContrast(editor, text) {
+        if (
+            !text.hasAttribute("fontColor") &&
+            !text.hasAttribute("fontBackgroundColor")
+        ) {
+            return undefined;
+        }
+        const color = text.getAttribute("fontColor") || DEFAULT_COLOR;
+        const backgroundColor =
+            text.getAttribute("fontBackgroundColor") || DEFAULT_BACKGROUND_COLOR;
+        const ratio = getContrastRatio(color, backgroundColor);
+        if (ratio === undefined || ratio >= MIN_CONTRAST_RATIO) {
+            return undefined;
+        }
+        const issue = {
+            severity: "error",
+            message: _.str.sprintf(_t("Low contrast text (%s:1)"), ratio.toFixed(1)),
+            range: editor.model.createRangeOn(text),
+            colors: `${color}/${backgroundColor}`,
+        };
+        issue.fix = {
+            label: _t("Remove colors"),
+            apply: () =>
+                editor.model.change((writer) => {
+                    writer.removeAttribute("fontColor", issue.range);
+                    writer.removeAttribute("fontBackgroundColor", issue.range);
+                }),
+        };
+        return issue;
+    }
+
+    /**
+     * Checks the accessibility of the editor's content:
+     * - images must have an alternative text,
+     * - headings must not skip levels,
+     * - tables must have a header row,
+     * - text colors must contrast with their background.
+     *
+     * @param {Editor} editor
+     * @returns {Object[]} the issues, in the order of the content, with:
+     *   - `severity`: `error` or `warning`
+     *   - `message`
+     *   - `element`: the model element, or `range`: the model range of the issue
+     *   - `fix`: {label, apply} if the issue can be fixed automatically
+     */
+    function checkAccessibility(editor) {
+        const model = editor.model;
+        const headingLevels = getHeadingLevels(editor);
+        const issues = [];
+        let previousLevel = undefined;
+        for (const root of model.document.getRoots()) {
+            for (const item of model.createRangeIn(root).getItems()) {
+                let issue = undefined;
+                if (item.is("element") && IMAGE_ELEMENTS.includes(item.name)) {
+                    issue = checkImage(editor, item);
+                } else if (item.is("element") && item.name in headingLevels) {
+                    issue = checkHeading(editor, item, headingLevels, previousLevel);
+                    previousLevel = headingLevels[item.name];
+                } else if (item.is("element", "table")) {
+                    issue = checkTable(editor, item);
+                } else if (item.is("$textProxy")) {
+                    issue = checkContrast(editor, item);
+                }
+                const previous = issues[issues.length - 1];
+                // Consecutive text nodes of the same colors are reported once
+                if (
+                    issue &&
+                    issue.colors &&
+                    previous &&
+                    previous.colors === issue.colors &&
+                    previous.range.end.isEqual(issue.range.start)
+                ) {
+                    previous.range = previous.range.getJoined(issue.range);
+                } else if (issue) {
+                    issues.push(issue);
+                }
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * CKEditor plugin adding the `accessibilityChecker` toolbar item, which
+     * toggles the accessibility panel.
+     *
+     * Options are read from the `odooAccessibility` editor configuration:
+     * - `togglePanel`: opens or closes the panel.
+     * - `isPanelOpen`: returns whether the panel is open.
+     *
+     * @param {Editor} editor
+     */
+    function OdooAccessibilityPlugin(editor) {
+        const options = editor.config.get("odooAccessibility");
+        if (!options) {
+            return;
+        }
+        addToolbarButton(editor, "accessibilityChecker", {
+            label: _t("Accessibility"),
+            isEnabled: () => true,
+            isOn: () => options.isPanelOpen(),
+            onExecute: () => options.togglePanel(),
+        });
+    }
+
+    return {
+        checkAccessibility,
+        getContrastRatio,
+        selectIssue,
+        OdooAccessibilityPlugin,
+    };
+});
@@ -0,0 +1,115 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.AccessibilityPanel", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const Widget = require("web.Widget");
+    const {
+        checkAccessibility,
+        selectIssue,
+    } = require("web_widget_ckeditor.accessibility");
+    const qweb = core.qweb;
+
+    // Delay before checking the content again, while the user types
+    const CHECK_DELAY = 500;
+
+    /**
+     * Panel listing the accessibility issues of the editor's content, which
+     * jumps to the issues, and fixes them. It's updated as the content changes.
+     */
+    const CKEditorAccessibilityPanel = Widget.extend({
+        template: "web_widget_ckeditor.AccessibilityPanel",
+        events: {
+            "click .o_ckeditor_accessibility_issue": "_onClickIssue",
+            "click .o_ckeditor_accessibility_fix": "_onClickFix",
+        },
+
+        /**
+         * @override
+         * @param {Widget} parent
+         * @param {Object} options
+         * @param {Editor} options.editor
+         */
+        init: function (parent, options) {
+            this._super.apply(this, arguments);
+            this.editor = options.editor;
+            this.issues = [];
+            this._onChangeData = _.debounce(this._render.bind(this), CHECK_DELAY);
+        },
+        /**
+         * @override
+         */
+        start: function () {
+            this.editor.model.document.on("change:data", this._onChangeData);
+            this._render();
+            return this._super.apply(this, arguments);
+        },
+        /**
+         * @override
+         */
+        destroy: function () {
+            this.editor.model.document.off("change:data", this._onChangeData);
+            this._onChangeData.cancel();
+            this._super.apply(this, arguments);
+        },
+
+        // --------------------------------------------------------------------------
+        // Private
+        // --------------------------------------------------------------------------
+
+        /**
+         * Checks the content, and renders its issues.
+         *
+         * @private
+         */
+        _render: function () {
+            if (this.isDestroyed()) {
+                return;
+            }
+            this.issues = checkAccessibility(this.editor);
+            this.$el.html(
+                qweb.render("web_widget_ckeditor.AccessibilityIssues", {
+                    issues: this.issues,
+                })
+            );
+        },
+        /**
+         * @private
+         * @param {Event} ev
+         * @returns {Object} the issue of the event's target
+         */
+        _getIssue: function (ev) {
+            const index = $(ev.currentTarget)
+                .closest(".o_ckeditor_accessibility_issue")
+                .data("index");
+            return this.issues[index];
+        },
+
+        // --------------------------------------------------------------------------
+        // Handlers
+        // --------------------------------------------------------------------------
+
+        /**
+         * @private
+         * @param {MouseEvent} ev
+         */
+        _onClickFix: function (ev) {
+            ev.stopPropagation();
+            this._getIssue(ev).fix.apply();
+            this._render();
+        },
+        /**
+         * @private
+         * @param {MouseEvent} ev
+         */
+        _onClickIssue: function (ev) {
+            selectIssue(this.editor, this._getIssue(ev));
+        },
+    });
+
+    return CKEditorAccessibilityPanel;
+});
@@ -0,0 +1,232 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.comment", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const {addToolbarButton} = require("web_widget_ckeditor.toolbar");
+    const _t = core._t;
+
+    // Text attribute holding the id of the comment thread
+    const COMMENT_ATTRIBUTE = "odooComment";
+    const COMMENT_CLASS = "o_ckeditor_comment";
+    const COMMENT_MODEL = "web.widget.ckeditor.comment";
+    // Markers highlighting the active comment, see `setActiveComment`
+    const ACTIVE_MARKER = "odooComment:active";
+
+    /**
+     * Returns the ranges of the text anchoring a comment, or of all comments.
+     *
+     * @param {Editor} editor
+     * @param {Number} [commentId]
+     * @returns {Range[]}
+     */
+    function getCommentRanges(editor, commentId) {
+        const model = editor.model;
+        const ranges = [];
+        for (const root of model.document.getRoots()) {
+            for (const item of model.createRangeIn(root).getItems()) {
+                const value =
+                    item.is("$textProxy") && item.getAttribute(COMMENT_ATTRIBUTE);
+                if (value && (commentId === undefined || value === commentId)) {
+                    ranges.push(model.createRangeOn(item));
+                }
+            }
+        }
+        return ranges;
+    }
+
+    /**
+     * Returns the ids of the comments anchored in the content, in the order
+     * of the content.
+     *
+     * @param {Editor} editor
+     * @returns {Number[]}
+     */
+    function getCommentIds(editor) {
+        return _.uniq(
+            getCommentRanges(editor).map((range) =>
+                range.start.nodeAfter.getAttribute(COMMENT_ATTRIBUTE)
+            )
+        );
+    }
+
+    /**
+     * Removes the markers of a comment, keeping the commented text.
+     *
+     * @param {Editor} editor
+     * @param {Number} commentId
+     */
+    function removeComment(editor, commentId) {
+        const ranges = getCommentRanges(editor, commentId);
+        editor.model.change((writer) => {
+            for (const range of ranges) {
+                writer.removeAttribute(COMMENT_ATTRIBUTE, range);
+            }
+        });
+    }
+
+    /**
+     * Highlights the text anchoring a comment, and scrolls to it.
+     *
+     * @param {Editor} editor
+     * @param {Number} [commentId] no comment is highlighted without it
+     */
+    function setActiveComment(editor, commentId) {
+        const ranges = commentId ? getCommentRanges(editor, commentId) : [];
+        editor.model.change((writer) => {
+            for (const marker of Array.from(
+                editor.model.markers.getMarkersGroup(ACTIVE_MARKER)
+            )) {
+                writer.removeMarker(marker);
+            }
+            ranges.forEach((range, index) =>
+                writer.addMarker(`${ACTIVE_MARKER}:${index}`, {
+                    range: range,
+                    usingOperation: false,
+                    affectsData: false,
+                })
+            );
+        });
+        const element = editor.editing.view
+            .getDomRoot()
+            .querySelector(".o_ckeditor_comment_active");
+        if (element) {
+            element.scrollIntoView({block: "nearest"});
+        }
+    }
+
+    /**
+     * Removes the markers of the comments from an html value.
+     *
+     * @param {String} value
+     * @returns {String}
+     */
+    function stripComments(value) {
+        if (!value || !value.includes(COMMENT_CLASS)) {
+            return value;
+        }
+        const $value = $("<div/>").html(value);
+        $value.find(`span.${COMMENT_CLASS}`).contents().unwrap();
+        return $value.html();
+    }
+
+    /**
+     * CKEditor plugin anchoring comments to the selected text, with the
+     * `comment` toolbar item. The text is wrapped in a marker holding the id
+     * of the comment thread:
+     *
+     *     <span class="o_ckeditor_comment" data-oe-model="web.widget.ckeditor.comment"
+     *           data-oe-id="42">commented text</span>
+     *
+     * Options are read from the `odooComment` editor configuration:
+     * - `addComment`: returns a Promise resolved with the id of the new comment.
+     * - `onChange`: called with the ids of the comments in the content, when
+     *   it changes.
+     * - `onSelect`: called with the id of the comment at the selection, if any.
+     *
+     * @param {Editor} editor
+     */
+    function OdooCommentPlugin(editor) {
+        const options = editor.config.get("odooComment");
+        if (!options) {
+            return;
+        }
+        const model = editor.model;
+        const selection = model.document.selection;
+        model.schema.extend("$text", {allowAttributes: COMMENT_ATTRIBUTE});
+        editor.conversion.for("upcast").elementToAttribute({
+            view: {
+                name: "span",
+                classes: COMMENT_CLASS,
+                attributes: {"data-oe-id": true},
+            },
+            model: {
+                key: COMMENT_ATTRIBUTE,
+                value: (viewItem) => parseInt(viewItem.getAttribute("data-oe-id"), 10),
+            },
+            converterPriority: "high",
+        });
+        editor.conversion.for("downcast").attributeToElement({
+            model: COMMENT_ATTRIBUTE,
+            view: (commentId, {writer}) =>
+                commentId &&
+                writer.createAttributeElement(
+                    "span",
+                    {
+                        class: COMMENT_CLASS,
+                        "data-oe-model": COMMENT_MODEL,
+                        "data-oe-id": commentId,
+                    },
+                    {
+                        // Wrap the other attribute elements, e.g. links
+                        priority: 5,
+                        // Prevent merging different comments together
+                        id: `comment-${commentId}`,
+                    }
+                ),
+            converterPriority: "high",
+        });
+        editor.conversion.for("editingDowncast").markerToHighlight({
+            model: ACTIVE_MARKER,
+            view: {classes: "o_ckeditor_comment_active"},
+        });
+        addToolbarButton(editor, "comment", {
+            label: _t("Comment"),
+            isEnabled: () => !editor.isReadOnly && !selection.isCollapsed,
+            onExecute: async () => {
+                // The selection is lost while the comment is written
+                const ranges = Array.from(selection.getRanges());
+                const commentId = await options.addComment();
+                if (!commentId) {
+                    return;
+                }
+                model.change((writer) => {
+                    for (const range of model.schema.getValidRanges(
+                        ranges,
+                        COMMENT_ATTRIBUTE
+                    )) {
+                        writer.setAttribute(COMMENT_ATTRIBUTE, commentId, range);
+                    }
+                });
+                setActiveComment(editor, commentId);
+            },
+        });
+        selection.on("change:range", () => {
+            const commentId = selection.getAttribute(COMMENT_ATTRIBUTE);
+            if (options.onSelect) {
+                options.onSelect(commentId);
+            }
+            // Text typed at the boundaries of a comment isn't part of it
+            const position = selection.getFirstPosition();
+            const getCommentId = (node) =>
+                node ? node.getAttribute(COMMENT_ATTRIBUTE) : undefined;
+            if (
+                commentId &&
+                selection.isCollapsed &&
+                getCommentId(position.nodeBefore) !== getCommentId(position.nodeAfter)
+            ) {
+                model.change((writer) =>
+                    writer.removeSelectionAttribute(COMMENT_ATTRIBUTE)
+                );
+            }
+        });
+        if (options.onChange) {
+            editor.on("ready", () => options.onChange(getCommentIds(editor)));
+            model.document.on("change:data", () =>
+                options.onChange(getCommentIds(editor))
+            );
+        }
+    }
+
+    return {
+        getCommentIds,
+        removeComment,
+        setActiveComment,
+        stripComments,
+        OdooCommentPlugin,
+    };
+});
@@ -0,0 +1,264 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.CommentSidebar", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const field_utils = require("web.field_utils");
+    const Widget = require("web.Widget");
+    const qweb = core.qweb;
+
+    /**
+     * Sidebar displaying the comment threads anchored in the content of an
+     * html field, in the order of the content. Users can reply to threads,
+     * and resolve them.
+     */
+    const CKEditorCommentSidebar = Widget.extend({
+        template: "web_widget_ckeditor.CommentSidebar",
+        events: {
+            "click .o_ckeditor_comment_thread": "_onClickThread",
+            "click .o_ckeditor_comment_reply": "_onReply",
+            "click .o_ckeditor_comment_resolve": "_onResolve",
+            "click .o_ckeditor_comment_add": "_onAdd",
+            "click .o_ckeditor_comment_cancel": "_onCancel",
+        },
+
+        /**
+         * @override
+         * @param {Widget} parent
+         * @param {Object} options
+         * @param {String} options.model
+         * @param {Number} options.resId
+         * @param {String} options.fieldName
+         * @param {Object} options.context
+         * @param {Function} options.onSelect called with the id of the thread
+         *   selected in the sidebar
+         * @param {Function} options.onResolve called with the id of the
+         *   resolved thread
+         */
+        init: function (parent, options) {
+            this._super.apply(this, arguments);
+            this.model = options.model;
+            this.resId = options.resId;
+            this.fieldName = options.fieldName;
+            this.context = options.context;
+            this.onSelect = options.onSelect;
+            this.onResolve = options.onResolve;
+            this.threads = [];
+            this.commentIds = [];
+            // Ids of the comments that aren't threads of this field, e.g. pasted
+            this.unknownIds = [];
+            this.activeId = undefined;
+            this.newComment = undefined;
+        },
+        /**
+         * @override
+         */
+        willStart: function () {
+            return Promise.all([this._super.apply(this, arguments), this._load()]);
+        },
+        /**
+         * @override
+         */
+        start: function () {
+            this._render();
+            return this._super.apply(this, arguments);
+        },
+
+        // --------------------------------------------------------------------------
+        // Public
+        // --------------------------------------------------------------------------
+
+        /**
+         * Displays the form to write a new comment.
+         *
+         * @returns {Promise<Number|undefined>} the id of the new comment
+         */
+        addComment: function () {
+            if (this.newComment) {
+                this.newComment.resolve();
+            }
+            return new Promise((resolve) => {
+                this.newComment = {resolve};
+                this._render();
+                this.$(".o_ckeditor_comment_new textarea").focus();
+            });
+        },
+        /**
+         * Highlights the thread of a comment.
+         *
+         * @param {Number} [commentId]
+         */
+        setActive: function (commentId) {
+            this.activeId = commentId;
+            this.$(".o_ckeditor_comment_thread").each((index, thread) =>
+                $(thread).toggleClass("o_active", $(thread).data("id") === commentId)
+            );
+        },
+        /**
+         * Displays the threads of the comments anchored in the content.
+         *
+         * @param {Number[]} commentIds in the order of the content
+         */
+        update: async function (commentIds) {
+            if (_.isEqual(commentIds, this.commentIds)) {
+                return;
+            }
+            this.commentIds = commentIds;
+            const knownIds = _.pluck(this.threads, "id").concat(this.unknownIds);
+            if (_.difference(commentIds, knownIds).length) {
+                await this._load();
+            }
+            this._render();
+        },
+
+        // --------------------------------------------------------------------------
+        // Private
+        // --------------------------------------------------------------------------
+
+        /**
+         * Loads the comment threads of the field.
+         *
+         * @private
+         */
+        _load: async function () {
+            const threads = await this._rpc({
+                model: this.model,
+                method: "web_widget_ckeditor_read_comments",
+                args: [[this.resId], this.fieldName],
+                context: this.context,
+            });
+            const formatDate = (comment) =>
+                Object.assign(comment, {
+                    displayDate: field_utils.format.datetime(
+                        field_utils.parse.datetime(comment.date, null, {
+                            isUTC: true,
+                        })
+                    ),
+                });
+            this.threads = threads.map((thread) =>
+                Object.assign(formatDate(thread), {
+                    replies: thread.replies.map(formatDate),
+                })
+            );
+            this.unknownIds = _.difference(
+                this.commentIds,
+                _.pluck(this.threads, "id")
+            );
+        },
+        /**
+         * @private
+         */
+        _render: function () {
+            if (this.isDestroyed()) {
+                return;
+            }
+            const threads = _.indexBy(this.threads, "id");
+            this.$el.html(
+                qweb.render("web_widget_ckeditor.CommentThreads", {
+                    widget: this,
+                    threads: this.commentIds
+                        .map((id) => threads[id])
+                        .filter((thread) => thread && !thread.resolved),
+                })
+            );
+        },
+        /**
+         * @private
+         * @param {Event} ev
+         * @returns {Number} the id of the thread of the event's target
+         */
+        _getThreadId: function (ev) {
+            return $(ev.currentTarget).closest(".o_ckeditor_comment_thread").data("id");
+        },
+
+        // --------------------------------------------------------------------------
+        // Handlers
+        // --------------------------------------------------------------------------
+
+        /**
+         * @private
+         */
+        _onAdd: async function () {
+            const body = this.$(".o_ckeditor_comment_new textarea").val().trim();
+            if (!body) {
+                return;
+            }
+            const commentId = await this._rpc({
+                model: this.model,
+                method: "web_widget_ckeditor_add_comment",
+                args: [[this.resId], this.fieldName, body],
+                context: this.context,
+            });
+            await this._load();
+            const newComment = this.newComment;
+            this.newComment = undefined;
+            this.activeId = commentId;
+            this._render();
+            newComment.resolve(commentId);
+        },
+        /**
+         * @private
+         */
+        _onCancel: function () {
+            const newComment = this.newComment;
+            this.newComment = undefined;
+            this._render();
+            newComment.resolve();
+        },
+        /**
+         * @private
+         * @param {MouseEvent} ev
+         */
+        _onClickThread: function (ev) {
+            const threadId = this._getThreadId(ev);
+            if (threadId !== this.activeId) {
+                this.setActive(threadId);
+                this.onSelect(threadId);
+            }
+        },
+        /**
+         * @private
+         * @param {MouseEvent} ev
+         */
+        _onReply: async function (ev) {
+            const threadId = this._getThreadId(ev);
+            const $thread = $(ev.currentTarget).closest(".o_ckeditor_comment_thread");
+            const body = $thread.find("textarea").val().trim();
+            if (!body) {
+                return;
+            }
+            await this._rpc({
+                model: this.model,
+                method: "web_widget_ckeditor_add_comment",
+                args: [[this.resId], this.fieldName, body, threadId],
+                context: this.context,
+            });
+            await this._load();
+            this._render();
+        },
+        /**
+         * @private
+         * @param {MouseEvent} ev
+         */
+        _onResolve: async function (ev) {
+            ev.stopPropagation();
+            const threadId = this._getThreadId(ev);
+            await this._rpc({
+                model: this.model,
+                method: "web_widget_ckeditor_resolve_comment",
+                args: [[this.resId], this.fieldName, threadId],
+                context: this.context,
+            });
+            _.findWhere(this.threads, {id: threadId}).resolved = true;
+            this.activeId = undefined;
+            this._render();
+            this.onResolve(threadId);
+        },
+    });
+
+    return CKEditorCommentSidebar;
+});
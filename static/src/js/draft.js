@@ -0,0 +1,135 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.draft", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const session = require("web.session");
+    const local_storage = require("web.local_storage");
+    const BasicController = require("web.BasicController");
+
+    const STORAGE_KEY = "web_widget_ckeditor.drafts";
+    // Drafts older than this are dropped
+    const DRAFT_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+    /**
+     * Returns the key of a draft: database, model, record id and field.
+     *
+     * @param {String} model
+     * @param {Number} [resId] undefined for new records
+     * @param {String} fieldName
+     * @returns {String}
+     */
+    function getDraftKey(model, resId, fieldName) {
+        return [session.db, model, resId || "new", fieldName].join(":");
+    }
+
+    /**
+     * @returns {Object} drafts, by key
+     */
+    function readDrafts() {
+        try {
+            return JSON.parse(local_storage.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Stores the drafts, dropping the old ones.
+     *
+     * @param {Object} drafts
+     */
+    function writeDrafts(drafts) {
+        const minDate = Date.now() - DRAFT_MAX_AGE;
+        drafts = _.pick(drafts, (draft) => draft.date > minDate);
+        try {
+            if (_.isEmpty(drafts)) {
+                local_storage.removeItem(STORAGE_KEY);
+            } else {
+                local_storage.setItem(STORAGE_KEY, JSON.stringify(drafts));
+            }
+        } catch (error) {
+            // The storage is full or unavailable, drafts are a best effort
+            console.warn("Unable to store CKEditor drafts: ", error);
+        }
+    }
+
+    /**
+     * @param {String} key
+     * @returns {Object|undefined} draft, with its `value`, `date` and the
+     *   `lastUpdate` of the record it's based on
+     */
+    function getDraft(key) {
+        return readDrafts()[key];
+    }
+
+    /**
+     * @param {String} key
+     * @param {String} value
+     * @param {String|false} lastUpdate the last update of the record, in the
+     *   server's format
+     */
+    function saveDraft(key, value, lastUpdate) {
+        const drafts = readDrafts();
+        drafts[key] = {value: value, date: Date.now(), lastUpdate: lastUpdate};
+        writeDrafts(drafts);
+    }
+
+    /**
+     * @param {String} key
+     */
+    function removeDraft(key) {
+        const drafts = readDrafts();
+        if (key in drafts) {
+            delete drafts[key];
+            writeDrafts(drafts);
+        }
+    }
+
+    /**
+     * Removes the drafts of all the fields of a record.
+     * Editors are notified with the `web_widget_ckeditor_drafts_removed` bus event.
+     *
+     * @param {String} model
+     * @param {Number} [resId] undefined for new records
+     */
+    function removeRecordDrafts(model, resId) {
+        const prefix = getDraftKey(model, resId, "");
+        const drafts = readDrafts();
+        writeDrafts(_.omit(drafts, (draft, key) => key.startsWith(prefix)));
+        core.bus.trigger("web_widget_ckeditor_drafts_removed", model, resId);
+    }
+
+    BasicController.include({
+        /**
+         * Removes the drafts of the record once it's saved.
+         *
+         * @override
+         */
+        saveRecord: async function (recordID) {
+            const handle = recordID || this.handle;
+            const isNew = this.model.isNew(handle);
+            const changedFields = await this._super.apply(this, arguments);
+            const record = this.model.get(handle, {raw: true});
+            if (record) {
+                removeRecordDrafts(record.model, record.res_id);
+                if (isNew) {
+                    removeRecordDrafts(record.model);
+                }
+            }
+            return changedFields;
+        },
+    });
+
+    return {
+        getDraftKey,
+        getDraft,
+        saveDraft,
+        removeDraft,
+        removeRecordDrafts,
+    };
+});
@@ -10,57 +10,431 @@ odoo.define("web_widget_ckeditor.field_ckeditor", function (require) {
     const core = require("web.core");
     const session = require("web.session");
     const config = require("web.config");
-    const ajax = require("web.ajax");
-    const rpc = require("web.rpc");
     const basic_fields = require("web.basic_fields");
+    const field_utils = require("web.field_utils");
     const field_registry = require("web.field_registry");
+    const {
+        CKEditorLanguageCode,
+        isCKEditorLoaded,
+        isMarkdownLoaded,
+        loadCKEditor,
+        loadCKEditorConfig,
+        loadMarkdown,
+    } = require("web_widget_ckeditor.loader");
+    const {
+        OdooUploadAdapterPlugin,
+        UPLOAD_TYPES,
+    } = require("web_widget_ckeditor.upload_adapter");
+    const {getMentionFeeds, OdooMentionPlugin} = require("web_widget_ckeditor.mention");
+    const HtmlSupport = require("web_widget_ckeditor.html_support");
+    const {OdooTemplatePlugin} = require("web_widget_ckeditor.template");
+    const {OdooFileImportPlugin} = require("web_widget_ckeditor.file_import");
+    const {
+        OdooRestrictedEditingPlugin,
+    } = require("web_widget_ckeditor.restricted_editing");
+    const {OdooPlaceholderPlugin} = require("web_widget_ckeditor.placeholder");
+    const {
+        markdownToHtml,
+        OdooMarkdownPlugin,
+    } = require("web_widget_ckeditor.markdown");
+    const {
+        RECORD_NAME_CLASS,
+        getRecordNames,
+        parseRecordUrl,
+        OdooRecordLinkPlugin,
+    } = require("web_widget_ckeditor.record_link");
+    const CKEditorRecordLinkDialog = require("web_widget_ckeditor.RecordLinkDialog");
+    const {
+        CKEditorPlaceholderDialog,
+        CKEditorPlaceholderPreviewDialog,
+    } = require("web_widget_ckeditor.PlaceholderDialog");
+    const Draft = require("web_widget_ckeditor.draft");
+    const CKEditorRevisionDialog = require("web_widget_ckeditor.RevisionDialog");
+    const CKEditorMergeDialog = require("web_widget_ckeditor.MergeDialog");
+    const {
+        OdooCommentPlugin,
+        removeComment,
+        setActiveComment,
+        stripComments,
+    } = require("web_widget_ckeditor.comment");
+    const CKEditorCommentSidebar = require("web_widget_ckeditor.CommentSidebar");
+    const {
+        OdooSuggestionPlugin,
+        stripSuggestions,
+    } = require("web_widget_ckeditor.suggestion");
+    const {
+        checkAccessibility,
+        OdooAccessibilityPlugin,
+    } = require("web_widget_ckeditor.accessibility");
+    const CKEditorAccessibilityPanel = require("web_widget_ckeditor.AccessibilityPanel");
+    const {OdooMediaLibraryPlugin} = require("web_widget_ckeditor.media_library");
+    const CKEditorMediaLibraryDialog = require("web_widget_ckeditor.MediaLibraryDialog");
+    const _t = core._t;
     const _lt = core._lt;
     const TranslatableFieldMixin = basic_fields.TranslatableFieldMixin;
 
-    // Load configuration for the editor
-    const getCKEditorConfigPromise = rpc.query({
-        model: "ir.config_parameter",
-        method: "get_web_widget_ckeditor_config",
-    });
+    // Delay after the last change before storing it as a draft, in ms
+    const CKEditorDraftDelay = 1000;
 
-    // Load CKEditor localization files
-    async function loadCKEditorLanguageSource(languageCode) {
-        if (languageCode === "en") {
-            return;
-        }
-        const languageURL = `/web_widget_ckeditor/static/lib/ckeditor/build/translations/${languageCode}.js`;
-        try {
-            ajax.loadJS(languageURL);
-        } catch (error) {
-            console.warn("Unable to load CKEditor language: ", languageCode);
+    // Invalid configuration is only notified once
+    let CKEditorConfigErrorsNotified = false;
+
+    // Languages written from right to left, as defined by CKEditor
+    const CKEditorRTLLanguages = ["ar", "fa", "he", "ku", "ug"];
+
+    /**
+     * @param {String} language ISO 639-1 language code
+     * @returns {String} `rtl` or `ltr`
+     */
+    function getCKEditorLanguageDirection(language) {
+        return CKEditorRTLLanguages.includes(language) ? "rtl" : "ltr";
+    }
+
+    // Default configuration, used when not configured in the settings
+    const CKEditorDefaultConfig = {
+        toolbar: [
+            "undo",
+            "redo",
+            "findAndReplace",
+            "pageBreak",
+            "restrictedEditingException",
+            "|",
+            "heading",
+            "|",
+            "style",
+            "|",
+            "textPartLanguage",
+            "|",
+            "fontFamily",
+            "fontSize",
+            "fontColor",
+            "fontBackgroundColor",
+            "highlight",
+            "|",
+            "bold",
+            "italic",
+            "underline",
+            "strikethrough",
+            "superscript",
+            "subscript",
+            "removeFormat",
+            "|",
+            "alignment",
+            "indent",
+            "outdent",
+            "|",
+            "bulletedList",
+            "numberedList",
+            "todoList",
+            "|",
+            "link",
+            "linkRecord",
+            "specialCharacters",
+            "blockQuote",
+            "insertTable",
+            "insertTemplate",
+            "importFile",
+            "imageUpload",
+            "insertFromLibrary",
+            "horizontalLine",
+            "|",
+            "code",
+            "codeBlock",
+            "htmlEmbed",
+            "mediaEmbed",
+        ],
+        font_family: [
+            "Droid Arabic Kufi",
+            "Amiri Quran",
+            "Almarai",
+            "Cairo",
+            "ArefRuqaa",
+            "ElMessiri",
+            "Ulamjad",
+            "Scheherazade",
+            "Tajawal",
+            "Jomhuria",
+            "Gulzar",
+            "Lalezar",
+            "Marhey",
+            "BFantezy",
+            "Noto Serif",
+            "Open Sans",
+            "Raleway",
+            "Roboto",
+        ],
+        font_size: [10, 12, 14, 18, 24, 30, 36, 48, 60, 72],
+        font_color: [
+            {color: "hsl(0, 0%, 0%)", label: "Black"},
+            {color: "hsl(0, 0%, 30%)", label: "Dim grey"},
+            {color: "hsl(0, 0%, 60%)", label: "Grey"},
+            {color: "hsl(0, 0%, 90%)", label: "Light grey"},
+            {color: "hsl(0, 75%, 60%)", label: "Red"},
+            {color: "hsl(30, 75%, 60%)", label: "Orange"},
+            {color: "hsl(60, 75%, 60%)", label: "Yellow"},
+            {color: "hsl(90, 75%, 60%)", label: "Light green"},
+            {color: "hsl(120, 75%, 60%)", label: "Green"},
+            {color: "hsl(150, 75%, 60%)", label: "Aquamarine"},
+            {color: "hsl(180, 75%, 60%)", label: "Turquoise"},
+            {color: "hsl(210, 75%, 60%)", label: "Light blue"},
+            {color: "hsl(240, 75%, 60%)", label: "Blue"},
+            {color: "hsl(270, 75%, 60%)", label: "Purple"},
+        ],
+        font_background_color: [
+            {color: "hsl(0, 0%, 0%)", label: "Black"},
+            {color: "hsl(0, 0%, 30%)", label: "Dim grey"},
+            {color: "hsl(0, 0%, 60%)", label: "Grey"},
+            {color: "hsl(0, 0%, 90%)", label: "Light grey"},
+            {color: "hsl(0, 0%, 100%)", label: "White", hasBorder: true},
+            {color: "hsl(0, 75%, 60%)", label: "Red"},
+            {color: "hsl(30, 75%, 60%)", label: "Orange"},
+            {color: "hsl(60, 75%, 60%)", label: "Yellow"},
+            {color: "hsl(90, 75%, 60%)", label: "Light green"},
+            {color: "hsl(120, 75%, 60%)", label: "Green"},
+            {color: "hsl(150, 75%, 60%)", label: "Aquamarine"},
+            {color: "hsl(180, 75%, 60%)", label: "Turquoise"},
+            {color: "hsl(210, 75%, 60%)", label: "Light blue"},
+            {color: "hsl(240, 75%, 60%)", label: "Blue"},
+            {color: "hsl(270, 75%, 60%)", label: "Purple"},
+        ],
+        heading: [
+            {
+                model: "paragraph",
+                title: "Paragraph",
+                class: "ck-heading_paragraph",
+            },
+            {
+                model: "heading1",
+                view: "h1",
+                title: "Heading 1",
+                class: "ck-heading_heading1",
+            },
+            {
+                model: "heading2",
+                view: "h2",
+                title: "Heading 2",
+                class: "ck-heading_heading2",
+            },
+            {
+                model: "heading3",
+                view: "h3",
+                title: "Heading 3",
+                class: "ck-heading_heading3",
+            },
+            {
+                model: "heading4",
+                view: "h4",
+                title: "Heading 4",
+                class: "ck-heading_heading4",
+            },
+            {
+                model: "heading5",
+                view: "h5",
+                title: "Heading 5",
+                class: "ck-heading_heading5",
+            },
+            {
+                model: "heading6",
+                view: "h6",
+                title: "Heading 6",
+                class: "ck-heading_heading6",
+            },
+        ],
+        style: [],
+        image_toolbar: [
+            "imageTextAlternative",
+            "toggleImageCaption",
+            "imageStyle:inline",
+            "imageStyle:block",
+            "imageStyle:side",
+            "linkImage",
+        ],
+        table_toolbar: [
+            "tableColumn",
+            "tableRow",
+            "mergeTableCells",
+            "tableCellProperties",
+            "tableProperties",
+        ],
+        mention_models: [],
+        tracked_fields: {},
+        commented_fields: {},
+        restricted_fields: {},
+        reviewed_fields: {},
+        suggestion_fields: {},
+        placeholder_preview: false,
+        image_max_size: {width: 1920, height: 1920},
+        languages: [
+            {name: "Arabic", code: "ar", direction: "rtl"},
+            {name: "English", code: "en", direction: "ltr"},
+        ],
+    };
+
+    // Toolbar items that can be enabled or disabled using the widget's options
+    const CKEditorToolbarItems = [
+        "undo",
+        "redo",
+        "selectAll",
+        "findAndReplace",
+        "pageBreak",
+        "restrictedEditingException",
+        "heading",
+        "style",
+        "textPartLanguage",
+        "fontFamily",
+        "fontSize",
+        "fontColor",
+        "fontBackgroundColor",
+        "highlight",
+        "bold",
+        "italic",
+        "underline",
+        "strikethrough",
+        "superscript",
+        "subscript",
+        "removeFormat",
+        "alignment",
+        "indent",
+        "outdent",
+        "bulletedList",
+        "numberedList",
+        "todoList",
+        "link",
+        "linkRecord",
+        "specialCharacters",
+        "blockQuote",
+        "insertTable",
+        "insertTemplate",
+        "importFile",
+        "comment",
+        "suggestionMode",
+        "acceptSuggestion",
+        "rejectSuggestion",
+        "acceptAllSuggestions",
+        "rejectAllSuggestions",
+        "accessibilityChecker",
+        "insertPlaceholder",
+        "previewPlaceholders",
+        "imageUpload",
+        "imageInsert",
+        "insertFromLibrary",
+        "horizontalLine",
+        "code",
+        "codeBlock",
+        "htmlEmbed",
+        "mediaEmbed",
+        "sourceEditing",
+    ];
+
+    // Plugins removed when their feature is disabled using the widget's options
+    const CKEditorFeaturePlugins = {
+        imageUpload: ["ImageInsert", "ImageUpload", "Base64UploadAdapter"],
+        htmlEmbed: ["HtmlEmbed"],
+        sourceEditing: ["SourceEditing"],
+        mention: ["Mention"],
+    };
+
+    // Toolbar items that can be represented in Markdown, see the `format` option
+    const CKEditorMarkdownToolbarItems = [
+        "|",
+        "-",
+        "undo",
+        "redo",
+        "selectAll",
+        "findAndReplace",
+        "heading",
+        "bold",
+        "italic",
+        "strikethrough",
+        "removeFormat",
+        "bulletedList",
+        "numberedList",
+        "todoList",
+        "link",
+        "linkRecord",
+        "specialCharacters",
+        "blockQuote",
+        "insertTable",
+        "insertTemplate",
+        "importFile",
+        "imageUpload",
+        "imageInsert",
+        "insertFromLibrary",
+        "horizontalLine",
+        "code",
+        "codeBlock",
+        "sourceEditing",
+        "accessibilityChecker",
+    ];
+
+    // Toolbar items available in restricted editing mode
+    const CKEditorRestrictedToolbarItems = [
+        "|",
+        "-",
+        "undo",
+        "redo",
+        "selectAll",
+        "findAndReplace",
+        "bold",
+        "italic",
+        "link",
+        "comment",
+    ];
+
+    // Toolbar items of the suggestion mode, see the `suggestion_mode` option
+    const CKEditorSuggestionToolbarItems = [
+        "suggestionMode",
+        "acceptSuggestion",
+        "rejectSuggestion",
+        "acceptAllSuggestions",
+        "rejectAllSuggestions",
+    ];
+
+    // Fields holding the model of the placeholders, for known template models
+    const CKEditorPlaceholderModelFields = {
+        "mail.template": "model",
+    };
+
+    /**
+     * Parses toolbar items, either from a list or from a string using
+     * `,`, `space` or `newline` as separators.
+     *
+     * @param {String|String[]} items
+     * @returns {String[]}
+     */
+    function parseCKEditorToolbarItems(items) {
+        if (typeof items === "string") {
+            items = items.split(/[\s,]+/);
         }
+        return items.filter((item) => item);
     }
-    const CKEditorLanguageCode = session.user_context.lang.split("_")[0];
-    const loadCKEditorLanguagePromise = loadCKEditorLanguageSource(
-        CKEditorLanguageCode
-    );
 
     const FieldHtmlCKEditor = basic_fields.DebouncedField.extend(
         TranslatableFieldMixin,
         {
             description: _lt("Html (CKEditor)"),
             className: "oe_form_field oe_form_field_html oe_form_field_html_ckeditor",
-            supportedFieldTypes: ["html"],
-
-            /**
-             * @override
-             */
-            willStart: function () {
-                return Promise.all([
-                    this._super.apply(this, arguments),
-                    loadCKEditorLanguagePromise,
-                ]);
-            },
+            supportedFieldTypes: ["html", "text"],
+            events: _.extend({}, basic_fields.DebouncedField.prototype.events, {
+                "click .o_ckeditor_draft_restore": "_onRestoreCKEditorDraft",
+                "click .o_ckeditor_draft_discard": "_onDiscardCKEditorDraft",
+                "click .o_ckeditor_history_button": "_onOpenCKEditorHistory",
+                "click .o_readonly a[href^='/web#']": "_onClickCKEditorRecordLink",
+                "click .o_ckeditor_preview": "_onActivateCKEditorPreview",
+                "focusin .o_ckeditor_preview": "_onActivateCKEditorPreview",
+            }),
 
             /**
              * @override
              */
             destroy: function () {
+                if (this.ckeditorDraftSave) {
+                    this.ckeditorDraftSave.cancel();
+                }
+                core.bus.off("web_widget_ckeditor_drafts_removed", this);
+                if (this.ckeditorObserver) {
+                    this.ckeditorObserver.disconnect();
+                }
                 if (this.ckeditor) {
                     this.ckeditor.destroy();
                     this.ckeditor = undefined;
@@ -80,6 +454,47 @@ odoo.define("web_widget_ckeditor.field_ckeditor", function (require) {
                     this.ckeditor.focus();
                     return true;
                 }
+                // Focusing the preview creates the editor
+                if (this.$preview) {
+                    this.$preview.focus();
+                    return true;
+                }
+            },
+            /**
+             * Merges the changes saved by someone else since the value was
+             * loaded, then warns the user about the markup the server will
+             * remove when saving. Markdown values aren't sanitized nor merged.
+             *
+             * @override
+             */
+            commitChanges: async function () {
+                await this._super.apply(this, arguments);
+                if (
+                    this.mode === "edit" &&
+                    this.ckeditor &&
+                    !this._isCKEditorMarkdown()
+                ) {
+                    await this._mergeCKEditorChanges();
+                    await this._checkCKEditorSanitizedMarkup();
+                }
+                // Show the errors preventing the save
+                if (this._hasCKEditorAccessibilityErrors()) {
+                    this._toggleCKEditorAccessibilityPanel(true);
+                }
+            },
+            /**
+             * The field is invalid when the `max_chars` or `max_words` limits
+             * are exceeded, or when accessibility errors remain and the
+             * `accessibility` option is `block`.
+             *
+             * @override
+             */
+            isValid: function () {
+                return (
+                    this._super.apply(this, arguments) &&
+                    !this._isCKEditorLimitExceeded() &&
+                    !this._hasCKEditorAccessibilityErrors()
+                );
             },
             /**
              * This function is similar to the one found in core's web_editor.FieldHtml.
@@ -104,7 +519,7 @@ odoo.define("web_widget_ckeditor.field_ckeditor", function (require) {
              * @override
              */
             getFocusableElement: function () {
-                return this.$target || $();
+                return this.$preview || this.$target || $();
             },
             /**
              * Do not re-render this field if it was the origin of the onchange call.
@@ -114,12 +529,23 @@ odoo.define("web_widget_ckeditor.field_ckeditor", function (require) {
              */
             reset: function (record, event) {
                 this._reset(record, event);
-                const value = this._textToHtml(this.value);
                 if (!event || event.target !== this) {
-                    if (this.mode === "edit") {
-                        this.ckeditor.setData(value);
+                    if (this.mode === "edit" && this.ckeditor) {
+                        this.ckeditor.setData(this._getCKEditorData());
+                        // The record was reloaded with the value saved meanwhile
+                        const lastUpdate = this._getCKEditorLastUpdate();
+                        if (lastUpdate !== this.ckeditorBaseDate) {
+                            this._setCKEditorBase();
+                        }
+                    } else if (this.mode === "edit") {
+                        // The editor is still loading, and reads its target
+                        this.$target.val(this._getCKEditorData());
+                        if (this.$preview) {
+                            this.$preview.html(this._getCKEditorReadonlyHtml());
+                        }
                     } else {
-                        this.$content.html(value);
+                        this.$content.html(this._getCKEditorReadonlyHtml());
+                        this._renderCKEditorRecordLinks();
                     }
                 }
                 return Promise.resolve();
@@ -139,72 +565,421 @@ odoo.define("web_widget_ckeditor.field_ckeditor", function (require) {
                 return this.$target.val();
             },
             /**
-             * Gets the CKEditor toolbar items configuration.
-             * If not found, returns the default configuration.
+             * Gets the global CKEditor configuration, as configured in the settings.
+             * Missing or invalid sections fall back to the default configuration.
+             *
+             * @returns {Promise<Object>}
              */
-            _getCKEditorToolbarItems: async function () {
+            _getCKEditorGlobalConfig: async function () {
+                let ckconfig = {};
                 try {
-                    const ckconfig = await getCKEditorConfigPromise;
-                    if (ckconfig.toolbar) {
-                        return ckconfig.toolbar.split(/[\s,]+/).filter((item) => item);
-                    }
+                    ckconfig = await loadCKEditorConfig();
                 } catch (error) {
-                    console.warn(
-                        "Unable to use CKEditor toolbar configuration: ",
-                        error
+                    console.warn("Unable to load CKEditor configuration: ", error);
+                }
+                if (ckconfig.errors && ckconfig.errors.length) {
+                    this._notifyCKEditorConfigErrors(ckconfig.errors);
+                }
+                return _.mapObject(CKEditorDefaultConfig, (value, key) =>
+                    _.clone(_.isEmpty(ckconfig[key]) ? value : ckconfig[key])
+                );
+            },
+            /**
+             * Warns the administrators about an invalid configuration.
+             * This is only done once per page load.
+             *
+             * @private
+             * @param {String[]} errors
+             */
+            _notifyCKEditorConfigErrors: function (errors) {
+                if (CKEditorConfigErrorsNotified || !session.is_system) {
+                    return;
+                }
+                CKEditorConfigErrorsNotified = true;
+                this.displayNotification({
+                    type: "warning",
+                    title: _t("Invalid CKEditor configuration"),
+                    message: _.str.sprintf(
+                        _t(
+                            "The default configuration is used instead of the following invalid settings: %s"
+                        ),
+                        errors.join(" ")
+                    ),
+                    sticky: true,
+                });
+            },
+            /**
+             * Gets the CKEditor toolbar items configuration for this field.
+             *
+             * The global configuration is merged with the widget's options:
+             * - `toolbar` replaces the global toolbar items entirely.
+             * - `{item}: true` adds the item at the end of the toolbar.
+             * - `{item}: false` removes the item from the toolbar.
+             *
+             * @returns {Promise<String[]>}
+             */
+            _getCKEditorToolbarItems: async function () {
+                const options = this.nodeOptions;
+                let items = options.toolbar
+                    ? parseCKEditorToolbarItems(options.toolbar)
+                    : (await this._getCKEditorGlobalConfig()).toolbar;
+                if (options.sourceEditing === undefined && config.isDebug()) {
+                    items.push("sourceEditing");
+                }
+                if (this._hasCKEditorPlaceholders()) {
+                    const placeholderItems = ["insertPlaceholder"];
+                    if ((await this._getCKEditorGlobalConfig()).placeholder_preview) {
+                        placeholderItems.push("previewPlaceholders");
+                    }
+                    for (const item of placeholderItems) {
+                        if (options[item] === undefined && !items.includes(item)) {
+                            items.push(item);
+                        }
+                    }
+                }
+                if (
+                    options.comment === undefined &&
+                    !items.includes("comment") &&
+                    (await this._hasCKEditorComments())
+                ) {
+                    items.push("comment");
+                }
+                if (
+                    options.accessibility &&
+                    options.accessibilityChecker === undefined &&
+                    !items.includes("accessibilityChecker")
+                ) {
+                    items.push("accessibilityChecker");
+                }
+                const suggestionOptions = await this._getCKEditorSuggestionOptions();
+                if (suggestionOptions) {
+                    const suggestionItems = suggestionOptions.canReview
+                        ? CKEditorSuggestionToolbarItems
+                        : ["suggestionMode"];
+                    for (const item of suggestionItems) {
+                        if (options[item] === undefined && !items.includes(item)) {
+                            items.push(item);
+                        }
+                    }
+                }
+                for (const item of CKEditorToolbarItems) {
+                    if (options[item] === true && !items.includes(item)) {
+                        items.push(item);
+                    } else if (options[item] === false) {
+                        items = items.filter((i) => i !== item);
+                    }
+                }
+                if (this._isCKEditorMarkdown()) {
+                    items = items.filter((item) =>
+                        CKEditorMarkdownToolbarItems.includes(item)
                     );
-                    console.warn(
-                        "Please check the value for ir.config_parameter 'web_widget_ckeditor.toolbar' is correct"
+                }
+                if (await this._isCKEditorRestricted()) {
+                    items = items.filter((item) =>
+                        CKEditorRestrictedToolbarItems.includes(item)
                     );
-                    console.warn("Using default toolbar configuration");
-                }
-                return [
-                    'undo',
-                    'redo',
-                    'findAndReplace',
-                    'pageBreak',
-                    'restrictedEditingException',
-                    '|',
-                    'heading',
-                    '|',
-                    'style',
-                    '|',
-                    'textPartLanguage',
-                    '|',
-                    'fontFamily',
-                    'fontSize',
-                    'fontColor',
-                    'fontBackgroundColor',
-                    'highlight',
-                    '|',
-                    'bold',
-                    'italic',
-                    'underline',
-                    'strikethrough',
-                    'superscript',
-                    'subscript',
-                    'removeFormat',
-                    '|',
-                    'alignment',
-                    'indent',
-                    'outdent',
-                    '|',
-                    'bulletedList',
-                    'numberedList',
-                    'todoList',
-                    '|',
-                    'link',
-                    'specialCharacters',
-                    'blockQuote',
-                    'insertTable',
-                    'imageUpload',
-                    'horizontalLine',
-                    '|',
-                    'code',
-                    'codeBlock',
-                    'htmlEmbed',
-                    'mediaEmbed',
-                ];
+                }
+                return items;
+            },
+            /**
+             * Gets the CKEditor plugins to remove, according to the features
+             * disabled in the widget's options.
+             *
+             * @returns {String[]}
+             */
+            _getCKEditorRemovedPlugins: function () {
+                const plugins = _.flatten(
+                    _.map(CKEditorFeaturePlugins, (plugins, feature) =>
+                        this.nodeOptions[feature] === false ? plugins : []
+                    )
+                );
+                // Images are uploaded as attachments, see OdooUploadAdapterPlugin
+                plugins.push("Base64UploadAdapter");
+                return _.uniq(plugins);
+            },
+            /**
+             * Gets the language of the content, which also defines its direction.
+             * It's the record's language if any, otherwise the user's language.
+             * The record's language is either read from the field set in the
+             * `lang_field` widget option, or from the record's context.
+             *
+             * @returns {String} ISO 639-1 language code, e.g. `ar`
+             */
+            _getCKEditorContentLanguage: function () {
+                const langField = this.nodeOptions.lang_field;
+                const lang =
+                    (langField && this.recordData[langField]) ||
+                    (this.record.context && this.record.context.lang) ||
+                    session.user_context.lang;
+                return (lang || "en").split(/[_@]/)[0];
+            },
+            /**
+             * Gets the General HTML Support rules, i.e. the markup kept by the editor.
+             * By default, they match the field's sanitizing options. The `allow` and
+             * `disallow` rules can be replaced with the `html_support` widget option.
+             * Patterns can be given as `{'regexp': '^data-'}`.
+             *
+             * @returns {Promise<Object>}
+             */
+            _getCKEditorHtmlSupport: async function () {
+                const rules = Object.assign(
+                    {},
+                    await HtmlSupport.getHtmlSupportRules(this.model, this.name),
+                    this.nodeOptions.html_support
+                );
+                return HtmlSupport.reviveCKEditorPatterns(
+                    _.pick(rules, "allow", "disallow")
+                );
+            },
+            /**
+             * Gets the models whose records can be referenced using `#`.
+             * The `mention_models` widget option overrides the global configuration.
+             *
+             * @param {Object} ckconfig global configuration
+             * @returns {Object[]} list of {model, name}
+             */
+            _getCKEditorMentionModels: function (ckconfig) {
+                const models = this.nodeOptions.mention_models;
+                if (models) {
+                    return parseCKEditorToolbarItems(models).map((model) => ({
+                        model: model,
+                        name: model,
+                    }));
+                }
+                return ckconfig.mention_models;
+            },
+            /**
+             * The value is stored as GitHub-flavoured Markdown with the
+             * `format: 'markdown'` widget option, which is the default on
+             * text fields.
+             *
+             * @private
+             * @returns {Boolean}
+             */
+            _isCKEditorMarkdown: function () {
+                const format =
+                    this.nodeOptions.format ||
+                    (this.field.type === "text" ? "markdown" : "html");
+                return format === "markdown";
+            },
+            /**
+             * Users can only edit the regions marked as editable exceptions,
+             * in restricted editing mode, when they're not in the unrestricted
+             * group of the field's settings, see web.widget.ckeditor.field.
+             * The server rejects changes outside of the editable regions.
+             *
+             * @private
+             * @returns {Promise<Boolean>}
+             */
+            _isCKEditorRestricted: async function () {
+                const ckconfig = await this._getCKEditorGlobalConfig();
+                const restrictedFields = ckconfig.restricted_fields[this.model] || [];
+                return restrictedFields.includes(this.name);
+            },
+            /**
+             * @private
+             * @returns {String} the value, in the editor's data format
+             */
+            _getCKEditorData: function () {
+                if (this._isCKEditorMarkdown()) {
+                    return this.value || "";
+                }
+                return this._textToHtml(this.value);
+            },
+            /**
+             * Markdown values are converted to html. Unlike html fields, they
+             * aren't sanitized by the server, so the html they contain is escaped.
+             * They're displayed as text when the Markdown libraries couldn't
+             * be loaded, see _loadCKEditorMarkdown.
+             *
+             * @private
+             * @returns {String} the value, as html displayed in readonly mode
+             */
+            _getCKEditorReadonlyHtml: function () {
+                if (this._isCKEditorMarkdown() && !isMarkdownLoaded()) {
+                    return $("<p/>", {
+                        class: "o_ckeditor_markdown_text",
+                        text: this.value || "",
+                    }).prop("outerHTML");
+                }
+                if (this._isCKEditorMarkdown()) {
+                    return markdownToHtml(this.value, true);
+                }
+                return stripSuggestions(stripComments(this._textToHtml(this.value)));
+            },
+            /**
+             * Loads the libraries converting Markdown values, to display them
+             * outside of the editor. They aren't part of the assets, like the
+             * editor.
+             *
+             * @private
+             * @returns {Promise}
+             */
+            _loadCKEditorMarkdown: async function () {
+                if (!this._isCKEditorMarkdown() || isMarkdownLoaded()) {
+                    return;
+                }
+                try {
+                    await loadMarkdown();
+                } catch (error) {
+                    console.warn("Unable to load the Markdown libraries: ", error);
+                }
+            },
+            /**
+             * Options of the suggestion mode, enabled:
+             * - by the `suggestion_mode` widget option: users can suggest
+             *   changes, and review them.
+             * - for the fields with a reviewer group in their settings, see
+             *   web.widget.ckeditor.field. Users outside of this group can only
+             *   suggest changes, which the server checks.
+             * Markdown values can't hold suggestions.
+             *
+             * @private
+             * @returns {Promise<Object|undefined>} see OdooSuggestionPlugin
+             */
+            _getCKEditorSuggestionOptions: async function () {
+                const ckconfig = await this._getCKEditorGlobalConfig();
+                const reviewedFields = ckconfig.reviewed_fields[this.model] || [];
+                const isReviewed = reviewedFields.includes(this.name);
+                if (
+                    (!this.nodeOptions.suggestion_mode && !isReviewed) ||
+                    this._isCKEditorMarkdown()
+                ) {
+                    return undefined;
+                }
+                const suggestionFields = ckconfig.suggestion_fields[this.model] || [];
+                const forced = suggestionFields.includes(this.name);
+                return {
+                    author: {id: session.uid, name: session.name},
+                    forced: forced,
+                    canReview: !forced,
+                };
+            },
+            /**
+             * Comments are enabled on the saved records, for the fields
+             * configured in the settings. Markdown values can't hold them.
+             *
+             * @private
+             * @returns {Promise<Boolean>}
+             */
+            _hasCKEditorComments: async function () {
+                if (!this.res_id || this._isCKEditorMarkdown()) {
+                    return false;
+                }
+                const ckconfig = await this._getCKEditorGlobalConfig();
+                const commentedFields = ckconfig.commented_fields[this.model] || [];
+                return commentedFields.includes(this.name);
+            },
+            /**
+             * Placeholders, e.g. `${object.partner_id.name}`, are enabled for
+             * templates, i.e. when the model of the placeholders is known:
+             * - `placeholder_model` widget option: the model's name.
+             * - `placeholder_model_field` widget option: the field holding the
+             *   model's name, e.g. `model` on mail.template.
+             *
+             * @private
+             * @returns {Boolean}
+             */
+            _hasCKEditorPlaceholders: function () {
+                const options = this.nodeOptions;
+                return Boolean(
+                    !this._isCKEditorMarkdown() &&
+                        (options.placeholder_model ||
+                            options.placeholder_model_field ||
+                            CKEditorPlaceholderModelFields[this.model])
+                );
+            },
+            /**
+             * @private
+             * @returns {String|undefined} the model of the placeholders
+             */
+            _getCKEditorPlaceholderModel: function () {
+                const options = this.nodeOptions;
+                const fieldName =
+                    options.placeholder_model_field ||
+                    CKEditorPlaceholderModelFields[this.model];
+                return (
+                    options.placeholder_model ||
+                    (fieldName && this.recordData[fieldName]) ||
+                    undefined
+                );
+            },
+            /**
+             * Opens the dialog to pick the field of a placeholder.
+             *
+             * @private
+             * @returns {Promise<String|undefined>} the placeholder's expression
+             */
+            _openCKEditorFieldPicker: function () {
+                const model = this._getCKEditorPlaceholderModel();
+                if (!model) {
+                    this.displayNotification({
+                        type: "warning",
+                        message: _t("Please select the model of the template first."),
+                    });
+                    return Promise.resolve();
+                }
+                return new Promise((resolve) => {
+                    const dialog = new CKEditorPlaceholderDialog(this, {
+                        model: model,
+                        onInsert: resolve,
+                    });
+                    dialog.on("closed", this, () => resolve());
+                    dialog.open();
+                });
+            },
+            /**
+             * Opens the dialog to search the record to link to.
+             *
+             * @private
+             * @returns {Promise<Object|undefined>} the record, as {model, resId, name}
+             */
+            _openCKEditorRecordLinkDialog: function () {
+                return new Promise((resolve) => {
+                    const dialog = new CKEditorRecordLinkDialog(this, {
+                        model: this.model,
+                        onSelect: resolve,
+                    });
+                    dialog.on("closed", this, () => resolve());
+                    dialog.open();
+                });
+            },
+            /**
+             * Opens the dialog to browse the images stored as attachments.
+             *
+             * @private
+             * @returns {Promise<Object|undefined>} the image, as {url, name}
+             */
+            _openCKEditorMediaLibraryDialog: function () {
+                return new Promise((resolve) => {
+                    const dialog = new CKEditorMediaLibraryDialog(this, {
+                        model: this.model,
+                        resId: this.res_id,
+                        onSelect: resolve,
+                    });
+                    dialog.on("closed", this, () => resolve());
+                    dialog.open();
+                });
+            },
+            /**
+             * Opens the preview of the template against a sample record.
+             *
+             * @private
+             * @param {String} value
+             */
+            _openCKEditorPlaceholderPreview: function (value) {
+                const model = this._getCKEditorPlaceholderModel();
+                if (!model) {
+                    this.displayNotification({
+                        type: "warning",
+                        message: _t("Please select the model of the template first."),
+                    });
+                    return;
+                }
+                new CKEditorPlaceholderPreviewDialog(this, {
+                    model: model,
+                    value: value,
+                }).open();
             },
             /**
              * Gets the CKEditor configuration.
@@ -214,254 +989,132 @@ odoo.define("web_widget_ckeditor.field_ckeditor", function (require) {
              * @returns EditorConfig
              */
             _getCKEditorConfig: async function () {
+                const ckconfig = await this._getCKEditorGlobalConfig();
+                let toolbarItems = await this._getCKEditorToolbarItems();
+                // The Style dropdown is empty without web.widget.ckeditor.style records
+                if (!ckconfig.style.length) {
+                    toolbarItems = toolbarItems.filter((item) => item !== "style");
+                }
                 const res = {
                     toolbar: {
-                        items: await this._getCKEditorToolbarItems(),
+                        items: toolbarItems,
                         shouldNotGroupWhenFull: true,
                     },
+                    removePlugins: this._getCKEditorRemovedPlugins(),
+                    extraPlugins: [
+                        OdooUploadAdapterPlugin,
+                        OdooMentionPlugin,
+                        OdooTemplatePlugin,
+                        OdooFileImportPlugin,
+                        OdooPlaceholderPlugin,
+                        OdooRecordLinkPlugin,
+                        OdooMarkdownPlugin,
+                        OdooRestrictedEditingPlugin,
+                        OdooCommentPlugin,
+                        OdooSuggestionPlugin,
+                        OdooAccessibilityPlugin,
+                        OdooMediaLibraryPlugin,
+                    ],
+                    odooMarkdown: this._isCKEditorMarkdown(),
+                    odooRestrictedEditing: await this._isCKEditorRestricted(),
+                    odooSuggestion: await this._getCKEditorSuggestionOptions(),
+                    odooUpload: {
+                        model: this.model,
+                        resId: this.res_id,
+                        maxImageSize: ckconfig.image_max_size,
+                    },
+                    odooMediaLibrary: {
+                        openDialog: this._openCKEditorMediaLibraryDialog.bind(this),
+                    },
+                    odooTemplate: {
+                        model: this.model,
+                    },
+                    odooRecordLink: {
+                        openDialog: this._openCKEditorRecordLinkDialog.bind(this),
+                    },
                     language: {
-                        CKEditorLanguageCode,
-                        textPartLanguage: [
-                            { title: 'Arabic', languageCode: 'ar' },
-                            { title: 'English', languageCode: 'en' },
-                        ]
+                        ui: CKEditorLanguageCode,
+                        content: this._getCKEditorContentLanguage(),
+                        textPartLanguage: ckconfig.languages.map((lang) => ({
+                            title: lang.name,
+                            languageCode: lang.code,
+                            textDirection: lang.direction,
+                        })),
                     },
                     image: {
-                        toolbar: [
-                            'imageTextAlternative',
-                            'toggleImageCaption',
-                            'imageStyle:inline',
-                            'imageStyle:block',
-                            'imageStyle:side',
-                            'linkImage'
-                        ],
+                        toolbar: ckconfig.image_toolbar,
+                        upload: {types: UPLOAD_TYPES},
                     },
                     table: {
-                        contentToolbar: [
-                            "tableColumn",
-                            "tableRow",
-                            "mergeTableCells",
-                            "tableCellProperties",
-                            "tableProperties",
-                        ],
+                        contentToolbar: ckconfig.table_toolbar,
                     },
                     fontSize: {
-                        options: [10, 12, 14, 18, 24, 30, 36, 48, 60, 72],
+                        options: ckconfig.font_size,
                     },
                     fontFamily: {
-                        options: [
-                            'Droid Arabic Kufi',
-                            'Amiri Quran',
-                            'Almarai',
-                            'Cairo',
-                            'ArefRuqaa',
-                            'ElMessiri',
-                            'Ulamjad',
-                            'Scheherazade',
-                            'Tajawal',
-                            'Jomhuria',
-                            'Gulzar',
-                            'Lalezar',
-                            'Marhey',
-                            'BFantezy',
-                            'Noto Serif',
-                            'Open Sans',
-                            'Raleway',
-                            'Roboto',   
-                        ]
+                        options: ckconfig.font_family,
                     },
                     fontColor: {
-                        colors: [
-                            {
-                                color: 'hsl(0, 0%, 0%)',
-                                label: 'Black'
-                            },
-                            {
-                                color: 'hsl(0, 0%, 30%)',
-                                label: 'Dim grey'
-                            },
-                            {
-                                color: 'hsl(0, 0%, 60%)',
-                                label: 'Grey'
-                            },
-                            {
-                                color: 'hsl(0, 0%, 90%)',
-                                label: 'Light grey'
-                            },
-
-                            {
-                                color: 'hsl(0, 75%, 60%)',
-                                label: 'Red'
-                            },
-                            {
-                                color: 'hsl(30, 75%, 60%)',
-                                label: 'Orange'
-                            },
-                            {
-                                color: 'hsl(60, 75%, 60%)',
-                                label: 'Yellow'
-                            },
-                            {
-                                color: 'hsl(90, 75%, 60%)',
-                                label: 'Light green'
-                            },
-                            {
-                                color: 'hsl(120, 75%, 60%)',
-                                label: 'Green'
-                            },
-                            {
-                                color: 'hsl(150, 75%, 60%)',
-                                label: 'Aquamarine'
-                            },
-                            {
-                                color: 'hsl(180, 75%, 60%)',
-                                label: 'Turquoise'
-                            },
-                            {
-                                color: 'hsl(210, 75%, 60%)',
-                                label: 'Light blue'
-                            },
-                            {
-                                color: 'hsl(240, 75%, 60%)',
-                                label: 'Blue'
-                            },
-                            {
-                                color: 'hsl(270, 75%, 60%)',
-                                label: 'Purple'
-                            }
-                        ]
+                        colors: ckconfig.font_color,
                     },
                     fontBackgroundColor: {
-                        colors: [
-                            {
-                                color: 'hsl(0, 0%, 0%)',
-                                label: 'Black'
-                            },
-                            {
-                                color: 'hsl(0, 0%, 30%)',
-                                label: 'Dim grey'
-                            },
-                            {
-                                color: 'hsl(0, 0%, 60%)',
-                                label: 'Grey'
-                            },
-                            {
-                                color: 'hsl(0, 0%, 90%)',
-                                label: 'Light grey'
-                            },
-                            {
-                                color: 'hsl(0, 0%, 100%)',
-                                label: 'White',
-                                hasBorder: true
-                            },
-                            {
-                                color: 'hsl(0, 75%, 60%)',
-                                label: 'Red'
-                            },
-                            {
-                                color: 'hsl(30, 75%, 60%)',
-                                label: 'Orange'
-                            },
-                            {
-                                color: 'hsl(60, 75%, 60%)',
-                                label: 'Yellow'
-                            },
-                            {
-                                color: 'hsl(90, 75%, 60%)',
-                                label: 'Light green'
-                            },
-                            {
-                                color: 'hsl(120, 75%, 60%)',
-                                label: 'Green'
-                            },
-                            {
-                                color: 'hsl(150, 75%, 60%)',
-                                label: 'Aquamarine'
-                            },
-                            {
-                                color: 'hsl(180, 75%, 60%)',
-                                label: 'Turquoise'
-                            },
-                            {
-                                color: 'hsl(210, 75%, 60%)',
-                                label: 'Light blue'
-                            },
-                            {
-                                color: 'hsl(240, 75%, 60%)',
-                                label: 'Blue'
-                            },
-                            {
-                                color: 'hsl(270, 75%, 60%)',
-                                label: 'Purple'
-                            }
-                        ]
+                        colors: ckconfig.font_background_color,
                     },
                     heading: {
-                        options: [
-                            { model: 'paragraph', title: 'Paragraph', class: 'ck-heading_paragraph' },
-                            { model: 'heading1', view: 'h1', title: 'Heading 1', class: 'ck-heading_heading1' },
-                            { model: 'heading2', view: 'h2', title: 'Heading 2', class: 'ck-heading_heading2' },
-                            { model: 'heading3', view: 'h3', title: 'Heading 3', class: 'ck-heading_heading3' },
-                            { model: 'heading4', view: 'h4', title: 'Heading 4', class: 'ck-heading_heading4' },
-                            { model: 'heading5', view: 'h5', title: 'Heading 5', class: 'ck-heading_heading5' },
-                            { model: 'heading6', view: 'h6', title: 'Heading 6', class: 'ck-heading_heading6' }
-                        ],
+                        options: ckconfig.heading,
                     },
                     style: {
-                        definitions: [
-                            {
-                                name: 'Article category',
-                                element: 'h3',
-                                classes: ['category']
-                            },
-                            {
-                                name: 'Title',
-                                element: 'h2',
-                                classes: ['document-title']
-                            },
-                            {
-                                name: 'Subtitle',
-                                element: 'h3',
-                                classes: ['document-subtitle']
-                            },
-                            {
-                                name: 'Info box',
-                                element: 'p',
-                                classes: ['info-box']
-                            },
-                            {
-                                name: 'Side quote',
-                                element: 'blockquote',
-                                classes: ['side-quote']
-                            },
-                            {
-                                name: 'Marker',
-                                element: 'span',
-                                classes: ['marker']
-                            },
-                            {
-                                name: 'Spoiler',
-                                element: 'span',
-                                classes: ['spoiler']
-                            },
-                            {
-                                name: 'Code (dark)',
-                                element: 'pre',
-                                classes: ['fancy-code', 'fancy-code-dark']
-                            },
-                            {
-                                name: 'Code (bright)',
-                                element: 'pre',
-                                classes: ['fancy-code', 'fancy-code-bright']
-                            }
-                        ]
+                        definitions: ckconfig.style,
+                    },
+                    htmlSupport: await this._getCKEditorHtmlSupport(),
+                    mention: {
+                        feeds: getMentionFeeds(
+                            this._getCKEditorMentionModels(ckconfig)
+                        ),
                     },
                 };
-                if (config.isDebug()) {
-                    res.toolbar.items.push("sourceEditing");
+                if (this.nodeOptions.accessibility) {
+                    res.odooAccessibility = {
+                        togglePanel: () => this._toggleCKEditorAccessibilityPanel(),
+                        isPanelOpen: () => Boolean(this.ckeditorAccessibility),
+                    };
+                }
+                if (this.ckeditorComments) {
+                    res.odooComment = {
+                        addComment: () => this.ckeditorComments.addComment(),
+                        onChange: (commentIds) =>
+                            this.ckeditorComments.update(commentIds),
+                        onSelect: (commentId) =>
+                            this.ckeditorComments.setActive(commentId),
+                    };
+                }
+                if (this._hasCKEditorPlaceholders()) {
+                    res.odooPlaceholder = {
+                        openFieldPicker: this._openCKEditorFieldPicker.bind(this),
+                        openPreview: this._openCKEditorPlaceholderPreview.bind(this),
+                    };
                 }
                 return res;
             },
+            /**
+             * Gets the CKEditor configuration to translate the content.
+             *
+             * @private
+             * @param {String} lang Odoo language code
+             * @returns {Promise<Object>} EditorConfig
+             */
+            _getCKEditorTranslationConfig: async function (lang) {
+                const editorConfig = await this._getCKEditorConfig();
+                editorConfig.language.content = lang.split(/[_@]/)[0];
+                // Comments are anchored in the source only, and the
+                // accessibility panel checks the source
+                delete editorConfig.odooComment;
+                delete editorConfig.odooAccessibility;
+                editorConfig.toolbar.items = editorConfig.toolbar.items.filter(
+                    (item) => item !== "comment" && item !== "accessibilityChecker"
+                );
+                return editorConfig;
+            },
             /**
              * Create the CKEditor instance with the target (this.$target)
              * then add the editable content (this.$content).
@@ -471,38 +1124,554 @@ odoo.define("web_widget_ckeditor.field_ckeditor", function (require) {
              */
             _createCKEditorIntance: async function () {
                 const editorConfig = await this._getCKEditorConfig();
-                this.ckeditor = await window.ClassicEditor.create(
+                const editor = await window.ClassicEditor.create(
                     this.$target.get(0),
                     editorConfig
                 );
+                if (this.isDestroyed()) {
+                    editor.destroy();
+                    return;
+                }
+                this.ckeditor = editor;
+                // The stored value is already sanitized
+                this.ckeditorCheckedValue = this.ckeditor.getData();
+                this._setCKEditorBase();
                 // Register event hooks
                 this.ckeditor.on("change", () => this._onChange());
                 this.ckeditor.ui.focusTracker.on(
                     "change:isFocused",
                     (ev, name, isFocused) => (isFocused ? null : this._onChange())
                 );
+                if (this.ckeditor.plugins.has("Notification")) {
+                    this.ckeditor.plugins
+                        .get("Notification")
+                        .on("show:warning", this._onCKEditorWarning.bind(this), {
+                            priority: "high",
+                        });
+                }
+                this._renderCKEditorWordCount();
+                if (this.nodeOptions.draft !== false) {
+                    this._initCKEditorDraft();
+                }
                 this._onLoadCKEditor();
                 // Enere didn't work whe build was upgraded - Ahmed Addawody -
                 this.ckeditor.keystrokes.set( 'enter', 'enter' );
                 this.ckeditor.keystrokes.set( 'Shift+enter', 'shiftEnter' );
             },
             /**
+             * Displays a warning listing the markup the server will remove.
+             * Values are only checked once.
+             *
+             * @private
+             */
+            _checkCKEditorSanitizedMarkup: async function () {
+                const value = this._getValue();
+                if (value === this.ckeditorCheckedValue) {
+                    return;
+                }
+                this.ckeditorCheckedValue = value;
+                const markup = await HtmlSupport.getSanitizedMarkup(
+                    this.model,
+                    this.name,
+                    value
+                );
+                if (markup.length) {
+                    this.displayNotification({
+                        type: "warning",
+                        title: _.str.sprintf(
+                            _t("%s: some content will be removed"),
+                            this.string
+                        ),
+                        message: _.str.sprintf(
+                            _t(
+                                "The following markup is not allowed, and will be removed when saving: %s"
+                            ),
+                            markup.join(", ")
+                        ),
+                    });
+                }
+            },
+            /**
+             * @private
+             * @returns {String|false} the last update of the record, in the
+             *   server's format
+             */
+            _getCKEditorLastUpdate: function () {
+                const lastUpdate =
+                    this.recordData.__last_update || this.recordData.write_date;
+                return lastUpdate ? field_utils.serialize.datetime(lastUpdate) : false;
+            },
+            /**
+             * Stores the value the user's changes are based on, to detect the
+             * changes saved by someone else in the meantime.
+             *
+             * @private
+             */
+            _setCKEditorBase: function () {
+                this.ckeditorBaseValue = this.value || "";
+                this.ckeditorBaseDate = this._getCKEditorLastUpdate();
+                this.ckeditorBaseData = this.ckeditor.getData();
+            },
+            /**
+             * Checks whether someone else changed the value since the user
+             * loaded it. When they did, the user merges both versions block by
+             * block, e.g. paragraph by paragraph, before saving.
+             * Closing the merge dialog aborts the save.
+             *
+             * @private
+             * @returns {Promise}
+             */
+            _mergeCKEditorChanges: async function () {
+                const mine = this.ckeditor.getData();
+                if (!this.res_id || mine === this.ckeditorBaseData) {
+                    return;
+                }
+                const result = await this._rpc({
+                    model: this.model,
+                    method: "web_widget_ckeditor_merge",
+                    args: [
+                        [this.res_id],
+                        this.name,
+                        this.ckeditorBaseValue,
+                        mine,
+                        this.ckeditorBaseDate,
+                    ],
+                    context: this.record.getContext(),
+                });
+                if (!result.changed) {
+                    return;
+                }
+                const merged = await new Promise((resolve, reject) => {
+                    const dialog = new CKEditorMergeDialog(this, {
+                        fieldLabel: this.string,
+                        chunks: result.chunks,
+                        onMerge: resolve,
+                    });
+                    dialog.on("closed", this, () => reject());
+                    dialog.open();
+                });
+                this.ckeditor.setData(merged);
+                await this._setValue(this._getValue());
+                // The merged value is based on the current value
+                this.ckeditorBaseValue = result.theirs;
+                this.ckeditorBaseDate = result.last_update;
+                this.ckeditorBaseData = this.ckeditor.getData();
+            },
+            /**
+             * @private
+             * @returns {String} the key of this field's draft
+             */
+            _getCKEditorDraftKey: function () {
+                return Draft.getDraftKey(this.model, this.res_id, this.name);
+            },
+            /**
+             * Offers to restore the draft of unsaved changes, if any, then
+             * stores the unsaved changes as a draft while the user types.
+             * Drafts are based on a version of the record: once it's saved,
+             * its drafts are outdated.
+             *
+             * @private
+             */
+            _initCKEditorDraft: function () {
+                const key = this._getCKEditorDraftKey();
+                const draft = Draft.getDraft(key);
+                this.ckeditorDraftValue = this.ckeditor.getData();
+                if (draft && draft.value !== this.ckeditorDraftValue) {
+                    // The record was saved since the draft was stored
+                    if (draft.lastUpdate !== this._getCKEditorLastUpdate()) {
+                        Draft.removeDraft(key);
+                    } else {
+                        this._renderCKEditorDraftAlert(draft);
+                    }
+                }
+                this.ckeditorDraftSave = _.debounce(
+                    this._saveCKEditorDraft.bind(this),
+                    CKEditorDraftDelay
+                );
+                this.ckeditor.model.document.on("change:data", this.ckeditorDraftSave);
+                core.bus.on(
+                    "web_widget_ckeditor_drafts_removed",
+                    this,
+                    this._onCKEditorDraftsRemoved
+                );
+            },
+            /**
+             * Stores the editor's content as a draft, if changed since the last time.
+             *
+             * @private
+             */
+            _saveCKEditorDraft: function () {
+                if (!this.ckeditor) {
+                    return;
+                }
+                const value = this.ckeditor.getData();
+                if (value === this.ckeditorDraftValue) {
+                    return;
+                }
+                this.ckeditorDraftValue = value;
+                Draft.saveDraft(
+                    this._getCKEditorDraftKey(),
+                    value,
+                    this._getCKEditorLastUpdate()
+                );
+                this._removeCKEditorDraftAlert();
+            },
+            /**
+             * Renders an alert offering to restore or discard a draft.
+             *
+             * @private
+             * @param {Object} draft
+             */
+            _renderCKEditorDraftAlert: function (draft) {
+                this.ckeditorDraft = draft;
+                this.$draftAlert = $(
+                    core.qweb.render("web_widget_ckeditor.DraftAlert", {
+                        date: moment(draft.date).format("LLL"),
+                    })
+                );
+                this.$draftAlert.prependTo(this.$el);
+            },
+            /**
+             * @private
+             */
+            _removeCKEditorDraftAlert: function () {
+                if (this.$draftAlert) {
+                    this.$draftAlert.remove();
+                    this.$draftAlert = undefined;
+                }
+                this.ckeditorDraft = undefined;
+            },
+            /**
+             * Renders the words and characters counter below the editor, if enabled
+             * with the `word_count`, `max_chars` or `max_words` widget options.
+             *
+             * @private
+             */
+            _renderCKEditorWordCount: function () {
+                const options = this.nodeOptions;
+                if (!options.word_count && !options.max_chars && !options.max_words) {
+                    return;
+                }
+                const wordCount = this.ckeditor.plugins.get("WordCount");
+                wordCount.on("update", (ev, stats) =>
+                    this._onCKEditorWordCountUpdate(stats)
+                );
+                this.$wordCount = $("<div/>", {
+                    class: "o_ckeditor_word_count text-muted small",
+                });
+                this.$wordCount.appendTo(this.$el);
+                this._onCKEditorWordCountUpdate({
+                    words: wordCount.words,
+                    characters: wordCount.characters,
+                });
+            },
+            /**
+             * Renders the button opening the revisions history, if the field's
+             * revisions are tracked.
+             *
+             * @private
+             */
+            _renderCKEditorHistoryButton: async function () {
+                if (!this.res_id) {
+                    return;
+                }
+                const ckconfig = await this._getCKEditorGlobalConfig();
+                const trackedFields = ckconfig.tracked_fields[this.model] || [];
+                if (!trackedFields.includes(this.name) || this.isDestroyed()) {
+                    return;
+                }
+                $("<button/>", {
+                    type: "button",
+                    class: "btn btn-link btn-sm o_ckeditor_history_button",
+                    title: _t("See the revisions of this field"),
+                })
+                    .append($("<i/>", {class: "fa fa-history mr-1"}))
+                    .append(document.createTextNode(_t("History")))
+                    .appendTo(this.$el);
+            },
+            /**
+             * @private
+             * @returns {Boolean} true if accessibility errors prevent saving
+             */
+            _hasCKEditorAccessibilityErrors: function () {
+                return Boolean(
+                    this.nodeOptions.accessibility === "block" &&
+                        this.mode === "edit" &&
+                        this.ckeditor &&
+                        checkAccessibility(this.ckeditor).some(
+                            (issue) => issue.severity === "error"
+                        )
+                );
+            },
+            /**
+             * Opens or closes the panel listing the accessibility issues,
+             * below the editor.
+             *
+             * @private
+             * @param {Boolean} [open] toggles the panel by default
+             */
+            _toggleCKEditorAccessibilityPanel: function (open) {
+                if (open === undefined) {
+                    open = !this.ckeditorAccessibility;
+                }
+                if (!open && this.ckeditorAccessibility) {
+                    this.ckeditorAccessibility.destroy();
+                    this.ckeditorAccessibility = undefined;
+                } else if (open && !this.ckeditorAccessibility) {
+                    this.ckeditorAccessibility = new CKEditorAccessibilityPanel(this, {
+                        editor: this.ckeditor,
+                    });
+                    this.ckeditorAccessibility.appendTo(this.$el);
+                }
+            },
+            /**
+             * @private
+             * @returns {Boolean} true if the words or characters limits are exceeded
+             */
+            _isCKEditorLimitExceeded: function () {
+                const stats = this.ckeditorStats;
+                const {max_chars, max_words} = this.nodeOptions;
+                return Boolean(
+                    stats &&
+                        ((max_chars && stats.characters > max_chars) ||
+                            (max_words && stats.words > max_words))
+                );
+            },
+            /**
+             * The first time an editor is needed, the form doesn't wait for
+             * CKEditor to load: the field displays a loading state meanwhile.
+             * With the `click_to_edit` widget option, a preview of the content
+             * is displayed instead, until the user clicks on it.
+             *
              * @override
              */
-            _renderEdit: function () {
-                const value = this._textToHtml(this.value);
-                this.$target = $("<textarea>").val(value).hide();
+            _renderEdit: async function () {
+                const value = this._getCKEditorData();
+                // The target is kept out of the tab order while the editor loads
+                this.$target = $("<textarea>", {tabindex: -1}).val(value).hide();
                 this.$target.appendTo(this.$el);
-                return this._createCKEditorIntance();
+                if (this.nodeOptions.click_to_edit) {
+                    await this._loadCKEditorMarkdown();
+                    this._renderCKEditorPreview();
+                    return;
+                }
+                if (isCKEditorLoaded()) {
+                    return this._initCKEditor();
+                }
+                this._initCKEditor();
+            },
+            /**
+             * Loads CKEditor and the configuration if needed, then creates the
+             * editor of the field. Errors are displayed in the field, as the
+             * form doesn't wait for the editor the first time.
+             *
+             * @private
+             */
+            _initCKEditor: async function () {
+                const $target = this.$target;
+                this.$(".o_ckeditor_loading").remove();
+                const $loading = $("<div/>", {
+                    class: "o_ckeditor_loading text-muted",
+                    text: _t("Loading the editor..."),
+                }).prepend($("<i/>", {class: "fa fa-circle-o-notch fa-spin mr-2"}));
+                if (!isCKEditorLoaded()) {
+                    $loading.appendTo(this.$el);
+                }
+                try {
+                    await Promise.all([
+                        loadCKEditor(),
+                        this._getCKEditorGlobalConfig(),
+                    ]);
+                    // The field may have been rendered again, or destroyed, meanwhile
+                    if (this.isDestroyed() || $target !== this.$target) {
+                        $loading.remove();
+                        return;
+                    }
+                    await this._renderCKEditorComments();
+                    await this._createCKEditorIntance();
+                } catch (error) {
+                    console.warn("Unable to load CKEditor: ", error);
+                    $loading
+                        .text(_t("Unable to load the editor."))
+                        .removeClass("text-muted")
+                        .addClass("text-danger")
+                        .appendTo(this.$el);
+                    return;
+                }
+                $loading.remove();
+                if (
+                    this.ckeditor &&
+                    this.nodeOptions.click_to_edit &&
+                    this.nodeOptions.destroy_hidden
+                ) {
+                    this._observeCKEditorVisibility();
+                }
+            },
+            /**
+             * Renders a lightweight preview of the content, using the content
+             * styles, in place of the editor.
+             *
+             * @private
+             */
+            _renderCKEditorPreview: function () {
+                const lang = this._getCKEditorContentLanguage();
+                this.$preview = $("<div/>", {
+                    class: "o_ckeditor_preview ck-content",
+                    tabindex: 0,
+                    title: _t("Click to edit"),
+                    lang: lang,
+                    dir: getCKEditorLanguageDirection(lang),
+                }).html(this._getCKEditorReadonlyHtml());
+                this.$preview.appendTo(this.$el);
+            },
+            /**
+             * Destroys the editor once it's hidden, e.g. in another tab of the
+             * form or scrolled out of view, and not focused anymore.
+             *
+             * @private
+             */
+            _observeCKEditorVisibility: function () {
+                this.ckeditorVisible = true;
+                this.ckeditorObserver = new IntersectionObserver((entries) => {
+                    this.ckeditorVisible = entries[entries.length - 1].isIntersecting;
+                    this._destroyHiddenCKEditor();
+                });
+                this.ckeditorObserver.observe(this.el);
+                this.ckeditor.ui.focusTracker.on("change:isFocused", () =>
+                    this._destroyHiddenCKEditor()
+                );
+            },
+            /**
+             * Commits the value of the editor if it's hidden and not focused,
+             * then replaces it with the preview of the content.
+             *
+             * @private
+             */
+            _destroyHiddenCKEditor: async function () {
+                const editor = this.ckeditor;
+                if (
+                    !editor ||
+                    this.ckeditorVisible ||
+                    editor.ui.focusTracker.isFocused ||
+                    this.isDestroyed()
+                ) {
+                    return;
+                }
+                if (this.ckeditorDraftSave) {
+                    this._saveCKEditorDraft();
+                }
+                await this._doAction();
+                // The editor may have been used again, or destroyed, meanwhile
+                if (
+                    editor !== this.ckeditor ||
+                    this.ckeditorVisible ||
+                    editor.ui.focusTracker.isFocused
+                ) {
+                    return;
+                }
+                this.ckeditorObserver.disconnect();
+                this.ckeditorObserver = undefined;
+                if (this.ckeditorDraftSave) {
+                    this.ckeditorDraftSave.cancel();
+                    this.ckeditorDraftSave = undefined;
+                }
+                core.bus.off("web_widget_ckeditor_drafts_removed", this);
+                for (const widget of [
+                    this.ckeditorComments,
+                    this.ckeditorAccessibility,
+                ]) {
+                    if (widget) {
+                        widget.destroy();
+                    }
+                }
+                this.ckeditorComments = undefined;
+                this.ckeditorAccessibility = undefined;
+                this.ckeditor = undefined;
+                this.$draftAlert = undefined;
+                this.ckeditorDraft = undefined;
+                await editor.destroy();
+                this.$el.removeClass("o_ckeditor_with_comments").empty();
+                this._renderEdit();
+            },
+            /**
+             * Renders the sidebar of the comment threads, if comments are
+             * enabled. It's displayed next to the editor.
+             *
+             * @private
+             */
+            _renderCKEditorComments: async function () {
+                if (!(await this._hasCKEditorComments())) {
+                    return;
+                }
+                this.ckeditorComments = new CKEditorCommentSidebar(this, {
+                    model: this.model,
+                    resId: this.res_id,
+                    fieldName: this.name,
+                    context: this.record.getContext(),
+                    onSelect: (commentId) => setActiveComment(this.ckeditor, commentId),
+                    onResolve: (commentId) => removeComment(this.ckeditor, commentId),
+                });
+                this.$el.addClass("o_ckeditor_with_comments");
+                await this.ckeditorComments.prependTo(this.$el);
             },
             /**
              * @override
              */
-            _renderReadonly: function () {
-                const value = this._textToHtml(this.value);
+            _renderReadonly: async function () {
+                await this._loadCKEditorMarkdown();
+                const value = this._getCKEditorReadonlyHtml();
+                const lang = this._getCKEditorContentLanguage();
                 this.$el.empty();
-                this.$content = $('<div class="o_readonly"/>').html(value);
+                this.$content = $('<div class="o_readonly ck-content"/>').html(value);
+                this.$content.attr({
+                    lang: lang,
+                    dir: getCKEditorLanguageDirection(lang),
+                });
                 this.$content.appendTo(this.$el);
+                this._renderCKEditorHistoryButton();
+                this._renderCKEditorRecordLinks();
+            },
+            /**
+             * Updates the links to records inserted with the record's name, see
+             * linkRecord, with its current display name, and marks the links to
+             * records which don't exist anymore. The text typed by the users is
+             * kept, as well as the links on images.
+             *
+             * @private
+             */
+            _renderCKEditorRecordLinks: async function () {
+                const links = this.$content
+                    .find("a[href^='/web#']")
+                    .not(".mention")
+                    .toArray()
+                    .map((link) =>
+                        Object.assign(
+                            {link: link},
+                            parseRecordUrl(link.getAttribute("href"))
+                        )
+                    )
+                    .filter((link) => link.resId);
+                if (!links.length) {
+                    return;
+                }
+                const names = await getRecordNames(links);
+                if (this.isDestroyed()) {
+                    return;
+                }
+                for (const {link, model, resId} of links) {
+                    if (!names[model]) {
+                        continue;
+                    }
+                    const name = names[model][resId];
+                    link.classList.toggle("o_ckeditor_record_link_missing", !name);
+                    if (
+                        name &&
+                        link.classList.contains(RECORD_NAME_CLASS) &&
+                        !link.children.length
+                    ) {
+                        link.textContent = name;
+                    }
+                }
             },
             /**
              * This function is similar to the one found in core's web_editor.FieldHtml.
@@ -552,6 +1721,189 @@ odoo.define("web_widget_ckeditor.field_ckeditor", function (require) {
                     top: "+5px",
                 });
                 this.$el.append($button);
+                this._renderCKEditorHistoryButton();
+            },
+            /**
+             * Display CKEditor warnings (e.g. failed image uploads) as Odoo
+             * notifications, instead of the default browser alert.
+             *
+             * @private
+             * @param {EventInfo} ev
+             * @param {Object} data
+             */
+            _onCKEditorWarning: function (ev, data) {
+                ev.stop();
+                this.displayNotification({
+                    type: "danger",
+                    title: data.title,
+                    message: data.message,
+                });
+            },
+            /**
+             * Method called when the words or characters count changes.
+             *
+             * @private
+             * @param {Object} stats
+             * @param {Number} stats.words
+             * @param {Number} stats.characters
+             */
+            _onCKEditorWordCountUpdate: function (stats) {
+                const {max_chars, max_words} = this.nodeOptions;
+                this.ckeditorStats = stats;
+                const words = max_words
+                    ? _.str.sprintf(_t("Words: %s / %s"), stats.words, max_words)
+                    : _.str.sprintf(_t("Words: %s"), stats.words);
+                const characters = max_chars
+                    ? _.str.sprintf(
+                          _t("Characters: %s / %s"),
+                          stats.characters,
+                          max_chars
+                      )
+                    : _.str.sprintf(_t("Characters: %s"), stats.characters);
+                const exceeded = this._isCKEditorLimitExceeded();
+                this.$wordCount
+                    .text(`${words} - ${characters}`)
+                    .toggleClass("text-muted", !exceeded)
+                    .toggleClass("text-danger", exceeded);
+                this.$el.toggleClass("o_ckeditor_limit_exceeded", exceeded);
+            },
+            /**
+             * Requests the CKEditor translation dialog, instead of the standard one.
+             * See web_widget_ckeditor.TranslationDialog. Text fields, and
+             * markdown values, use the standard dialog.
+             *
+             * @override
+             * @private
+             * @param {MouseEvent} ev
+             */
+            _onTranslate: function (ev) {
+                if (this.field.type !== "html" || this._isCKEditorMarkdown()) {
+                    return this._super.apply(this, arguments);
+                }
+                ev.preventDefault();
+                this.trigger_up("translate", {
+                    fieldName: this.name,
+                    id: this.dataPointID,
+                    isComingFromTranslationAlert: false,
+                    ckeditor: {
+                        fieldLabel: this.string,
+                        getConfig: this._getCKEditorTranslationConfig.bind(this),
+                    },
+                });
+            },
+            /**
+             * The drafts were removed because the record was saved.
+             *
+             * @private
+             * @param {String} model
+             * @param {Number} [resId]
+             */
+            _onCKEditorDraftsRemoved: function (model, resId) {
+                if (
+                    !this.ckeditor ||
+                    model !== this.model ||
+                    (resId || false) !== (this.res_id || false)
+                ) {
+                    return;
+                }
+                this.ckeditorDraftValue = this.ckeditor.getData();
+                this._removeCKEditorDraftAlert();
+            },
+            /**
+             * Opens the revisions history. Revisions can be restored in edit mode.
+             *
+             * @private
+             * @param {MouseEvent} ev
+             */
+            _onOpenCKEditorHistory: function (ev) {
+                ev.preventDefault();
+                const onRestore =
+                    this.mode === "edit"
+                        ? (value) => {
+                              this.ckeditor.setData(value);
+                              this._onChange();
+                          }
+                        : undefined;
+                new CKEditorRevisionDialog(this, {
+                    model: this.model,
+                    resId: this.res_id,
+                    fieldName: this.name,
+                    fieldLabel: this.string,
+                    context: this.record.getContext(),
+                    onRestore: onRestore,
+                }).open();
+            },
+            /**
+             * Opens the linked record in the web client, without reloading the
+             * page. Links opened in a new tab are left to the browser.
+             *
+             * @private
+             * @param {MouseEvent} ev
+             */
+            _onClickCKEditorRecordLink: function (ev) {
+                const record = parseRecordUrl(ev.currentTarget.getAttribute("href"));
+                if (!record || ev.ctrlKey || ev.metaKey || ev.shiftKey) {
+                    return;
+                }
+                ev.preventDefault();
+                ev.stopPropagation();
+                this.do_action({
+                    type: "ir.actions.act_window",
+                    res_model: record.model,
+                    res_id: record.resId,
+                    views: [[false, "form"]],
+                    target: "current",
+                });
+            },
+            /**
+             * @private
+             * @param {MouseEvent} ev
+             */
+            _onDiscardCKEditorDraft: function (ev) {
+                ev.preventDefault();
+                Draft.removeDraft(this._getCKEditorDraftKey());
+                this._removeCKEditorDraftAlert();
+            },
+            /**
+             * @private
+             * @param {MouseEvent} ev
+             */
+            _onRestoreCKEditorDraft: function (ev) {
+                ev.preventDefault();
+                const value = this.ckeditorDraft.value;
+                this._removeCKEditorDraftAlert();
+                // The draft is kept until the record is saved
+                this.ckeditorDraftValue = value;
+                this.ckeditor.setData(value);
+                this._onChange();
+            },
+            /**
+             * Creates the editor in place of the preview of the content. Clicking
+             * the preview also focuses it: the editor is only created once, and
+             * the preview is kept, e.g. to be focused, while it loads.
+             *
+             * @private
+             * @param {Event} ev
+             */
+            _onActivateCKEditorPreview: async function (ev) {
+                ev.preventDefault();
+                const $preview = this.$preview;
+                if (!$preview || this.ckeditorActivating) {
+                    return;
+                }
+                this.ckeditorActivating = true;
+                try {
+                    await this._initCKEditor();
+                } finally {
+                    this.ckeditorActivating = false;
+                }
+                // e.g. CKEditor couldn't be loaded, or the field was rendered again
+                if (!this.ckeditor || $preview !== this.$preview) {
+                    return;
+                }
+                this.$preview = undefined;
+                $preview.remove();
+                this.ckeditor.editing.view.focus();
             },
             /**
              * Method called when ckeditor triggers a change.
@@ -0,0 +1,105 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.file_import", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const {markdownToHtml} = require("web_widget_ckeditor.markdown");
+    const {addToolbarButton, insertHtml} = require("web_widget_ckeditor.toolbar");
+    const _t = core._t;
+
+    const IMPORT_URL = "/web_widget_ckeditor/import_file";
+    const IMPORT_EXTENSIONS = [".docx", ".odt", ".md", ".markdown", ".html", ".htm"];
+    const MARKDOWN_RE = /\.(md|markdown)$/i;
+
+    /**
+     * Asks the user to select a file to import.
+     *
+     * @returns {Promise<File>}
+     */
+    function selectFile() {
+        return new Promise((resolve) => {
+            const input = document.createElement("input");
+            input.type = "file";
+            input.accept = IMPORT_EXTENSIONS.join(",");
+            input.addEventListener("change", () => {
+                if (input.files.length) {
+                    resolve(input.files[0]);
+                }
+            });
+            input.click();
+        });
+    }
+
+    /**
+     * Converts a file to html. Markdown files are converted by the browser,
+     * then stored images are extracted by the server like for html files.
+     *
+     * @param {File} file
+     * @param {Object} options
+     * @param {String} [options.model] the model of the record to link images to
+     * @param {Number} [options.resId] the id of the record to link images to
+     * @returns {Promise<String>}
+     */
+    async function convertFile(file, options) {
+        if (MARKDOWN_RE.test(file.name)) {
+            const html = markdownToHtml(await file.text());
+            file = new File([html], file.name.replace(MARKDOWN_RE, ".html"), {
+                type: "text/html",
+            });
+        }
+        const data = new FormData();
+        data.append("upload", file);
+        data.append("csrf_token", core.csrf_token);
+        if (options.model) {
+            data.append("res_model", options.model);
+            data.append("res_id", options.resId || 0);
+        }
+        const response = await fetch(IMPORT_URL, {method: "POST", body: data});
+        const result = await response.json();
+        if (result.error) {
+            throw new Error(result.error.message);
+        }
+        return result.html;
+    }
+
+    /**
+     * CKEditor plugin importing .docx, .odt, .md and .html files at the
+     * selection, with the `importFile` toolbar item.
+     * Images are stored like uploaded images, according to the `odooUpload`
+     * editor configuration.
+     *
+     * @param {Editor} editor
+     */
+    function OdooFileImportPlugin(editor) {
+        const options = editor.config.get("odooUpload") || {};
+        addToolbarButton(editor, "importFile", {
+            label: _t("Import file"),
+            onExecute: async () => {
+                const file = await selectFile();
+                let html = undefined;
+                try {
+                    html = await convertFile(file, options);
+                } catch (error) {
+                    editor.plugins.get("Notification").showWarning(error.message, {
+                        title: _.str.sprintf(
+                            _t("Couldn't import file: %s."),
+                            file.name
+                        ),
+                        namespace: "importFile",
+                    });
+                    return;
+                }
+                insertHtml(editor, html);
+            },
+        });
+    }
+
+    return {
+        convertFile,
+        OdooFileImportPlugin,
+    };
+});
@@ -0,0 +1,79 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.html_support", function (require) {
+    "use strict";
+
+    const rpc = require("web.rpc");
+
+    // Html support rules are cached by model and field
+    const htmlSupportPromises = {};
+
+    /**
+     * Converts the `{regexp: ...}` patterns into regular expressions,
+     * as expected by CKEditor's General HTML Support.
+     *
+     * @param {any} value
+     * @returns {any}
+     */
+    function reviveCKEditorPatterns(value) {
+        if (_.isArray(value)) {
+            return value.map(reviveCKEditorPatterns);
+        }
+        if (_.isObject(value)) {
+            if (_.keys(value).length === 1 && _.isString(value.regexp)) {
+                return new RegExp(value.regexp);
+            }
+            return _.mapObject(value, reviveCKEditorPatterns);
+        }
+        return value;
+    }
+
+    /**
+     * Gets the General HTML Support rules matching the field's sanitizing
+     * options.
+     *
+     * @param {String} model
+     * @param {String} fieldName
+     * @returns {Promise<Object>} rules with `allow` and `disallow` keys
+     */
+    function getHtmlSupportRules(model, fieldName) {
+        const key = `${model},${fieldName}`;
+        if (!htmlSupportPromises[key]) {
+            htmlSupportPromises[key] = rpc
+                .query({
+                    model: model,
+                    method: "web_widget_ckeditor_get_html_support",
+                    args: [fieldName],
+                })
+                .guardedCatch(() => {
+                    delete htmlSupportPromises[key];
+                });
+        }
+        return htmlSupportPromises[key];
+    }
+
+    /**
+     * Gets the markup the server would remove when saving the value.
+     *
+     * @param {String} model
+     * @param {String} fieldName
+     * @param {String} value
+     * @returns {Promise<String[]>}
+     */
+    function getSanitizedMarkup(model, fieldName, value) {
+        return rpc.query({
+            model: model,
+            method: "web_widget_ckeditor_get_sanitized_markup",
+            args: [fieldName, value],
+        });
+    }
+
+    return {
+        getHtmlSupportRules,
+        getSanitizedMarkup,
+        reviveCKEditorPatterns,
+    };
+});
@@ -0,0 +1,254 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.loader", function (require) {
+    "use strict";
+
+    const rpc = require("web.rpc");
+    const session = require("web.session");
+
+    // The bundle isn't part of the assets, as most pages don't need it
+    const CKEditorBundleURL =
+        "/web_widget_ckeditor/static/lib/ckeditor/build/ckeditor.js";
+    const CKEditorTranslationsURL =
+        "/web_widget_ckeditor/static/lib/ckeditor/build/translations";
+    // Libraries converting Markdown values, see web_widget_ckeditor.markdown
+    const CKEditorMarkdownURLs = [
+        "/web_widget_ckeditor/static/lib/marked/marked.min.js",
+        "/web_widget_ckeditor/static/lib/turndown/turndown.browser.umd.js",
+        "/web_widget_ckeditor/static/lib/turndown-plugin-gfm/turndown-plugin-gfm.js",
+    ];
+
+    // CKEditor translations available in build/translations
+    const CKEditorTranslations = [
+        "af",
+        "ar",
+        "ast",
+        "az",
+        "bg",
+        "bn",
+        "bs",
+        "ca",
+        "cs",
+        "da",
+        "de-ch",
+        "de",
+        "el",
+        "en-au",
+        "en-gb",
+        "eo",
+        "es-co",
+        "es",
+        "et",
+        "eu",
+        "fa",
+        "fi",
+        "fr",
+        "gl",
+        "gu",
+        "he",
+        "hi",
+        "hr",
+        "hu",
+        "id",
+        "it",
+        "ja",
+        "jv",
+        "kk",
+        "km",
+        "kn",
+        "ko",
+        "ku",
+        "lt",
+        "lv",
+        "ms",
+        "nb",
+        "ne",
+        "nl",
+        "no",
+        "oc",
+        "pl",
+        "pt-br",
+        "pt",
+        "ro",
+        "ru",
+        "si",
+        "sk",
+        "sl",
+        "sq",
+        "sr-latn",
+        "sr",
+        "sv",
+        "th",
+        "tk",
+        "tr",
+        "tt",
+        "ug",
+        "uk",
+        "ur",
+        "uz",
+        "vi",
+        "zh-cn",
+        "zh",
+    ];
+
+    // Odoo language scripts, as used in CKEditor translations
+    const CKEditorLanguageScripts = {
+        latin: "latn",
+        cyrillic: "cyrl",
+    };
+
+    /**
+     * Maps an Odoo language code to the CKEditor translation to use, e.g.
+     * `pt_BR` to `pt-br`, `sr@latin` to `sr-latn`, `de_CH` to `de-ch`.
+     * Falls back to the base language, then to english (built-in).
+     *
+     * @param {String} lang Odoo language code
+     * @returns {String} CKEditor language code
+     */
+    function getCKEditorLanguageCode(lang) {
+        const [locale, script] = (lang || "en_US").split("@");
+        const [language, territory] = locale.toLowerCase().split("_");
+        const candidates = [];
+        if (script) {
+            candidates.push(`${language}-${CKEditorLanguageScripts[script] || script}`);
+        }
+        if (territory) {
+            candidates.push(`${language}-${territory}`);
+        }
+        candidates.push(language);
+        return candidates.find((code) => CKEditorTranslations.includes(code)) || "en";
+    }
+
+    const CKEditorLanguageCode = getCKEditorLanguageCode(session.user_context.lang);
+
+    // Promises of the resources loaded so far, shared by all the editors
+    let CKEditorPromise = undefined;
+    let CKEditorMarkdownPromise = undefined;
+    let CKEditorConfigPromise = undefined;
+
+    /**
+     * Loads a script. Unlike `ajax.loadJS`, failures aren't cached, so that
+     * the script can be loaded again, e.g. after a network error.
+     *
+     * @param {String} url
+     * @returns {Promise}
+     */
+    function loadScript(url) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement("script");
+            script.type = "text/javascript";
+            script.src = url;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Unable to load ${url}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Loads a CKEditor translation file. The editor is still usable, in
+     * english, when it's missing.
+     *
+     * @param {String} languageCode CKEditor language code
+     * @returns {Promise}
+     */
+    async function loadCKEditorLanguageSource(languageCode) {
+        if (languageCode === "en") {
+            return;
+        }
+        try {
+            await loadScript(`${CKEditorTranslationsURL}/${languageCode}.js`);
+        } catch (error) {
+            console.warn("Unable to load CKEditor language: ", languageCode);
+        }
+    }
+
+    /**
+     * Loads the libraries converting Markdown values, e.g. to display them in
+     * readonly mode. They're loaded the first time they're needed, then reused.
+     *
+     * @returns {Promise}
+     */
+    function loadMarkdown() {
+        if (!CKEditorMarkdownPromise) {
+            CKEditorMarkdownPromise = Promise.all(CKEditorMarkdownURLs.map(loadScript));
+            CKEditorMarkdownPromise.catch(() => {
+                CKEditorMarkdownPromise = undefined;
+            });
+        }
+        return CKEditorMarkdownPromise;
+    }
+
+    /**
+     * @returns {Boolean} whether the libraries converting Markdown are loaded
+     */
+    function isMarkdownLoaded() {
+        return Boolean(
+            window.marked && window.TurndownService && window.turndownPluginGfm
+        );
+    }
+
+    /**
+     * Loads the CKEditor bundle, its translation in the user's language, and
+     * the libraries converting Markdown, used by the editor's plugins.
+     * They're loaded the first time an editor is needed, then reused.
+     *
+     * @returns {Promise} resolved once `window.ClassicEditor` is available
+     */
+    function loadCKEditor() {
+        if (!CKEditorPromise) {
+            CKEditorPromise = Promise.all([
+                loadScript(CKEditorBundleURL),
+                loadCKEditorLanguageSource(CKEditorLanguageCode),
+                loadMarkdown(),
+            ]);
+            // Allow another attempt, e.g. after a network error
+            CKEditorPromise.catch(() => {
+                CKEditorPromise = undefined;
+            });
+        }
+        return CKEditorPromise;
+    }
+
+    /**
+     * @returns {Boolean} whether the CKEditor bundle, and the libraries it
+     *   uses, are loaded
+     */
+    function isCKEditorLoaded() {
+        return Boolean(window.ClassicEditor) && isMarkdownLoaded();
+    }
+
+    /**
+     * Loads the editor configuration of the settings, see
+     * `get_web_widget_ckeditor_config`. It's loaded once, then reused.
+     *
+     * @returns {Promise<Object>}
+     */
+    function loadCKEditorConfig() {
+        if (!CKEditorConfigPromise) {
+            CKEditorConfigPromise = rpc.query({
+                model: "ir.config_parameter",
+                method: "get_web_widget_ckeditor_config",
+            });
+            CKEditorConfigPromise.catch(() => {
+                CKEditorConfigPromise = undefined;
+            });
+        }
+        return CKEditorConfigPromise;
+    }
+
+    return {
+        CKEditorLanguageCode,
+        getCKEditorLanguageCode,
+        isCKEditorLoaded,
+        isMarkdownLoaded,
+        loadCKEditor,
+        loadCKEditorConfig,
+        loadMarkdown,
+    };
+});
@@ -0,0 +1,83 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.markdown", function () {
+    "use strict";
+
+    let turndownService = undefined;
+
+    /**
+     * Converts GitHub-flavoured Markdown to html.
+     *
+     * @param {String} markdown
+     * @param {Boolean} [sanitize] escapes the html and removes unsafe urls, for
+     *   values that are displayed as is
+     * @returns {String}
+     */
+    function markdownToHtml(markdown, sanitize) {
+        return window.marked.parse(markdown || "", {
+            gfm: true,
+            breaks: true,
+            headerIds: false,
+            xhtml: true,
+            sanitize: Boolean(sanitize),
+            // Don't warn about the deprecated sanitize option
+            silent: Boolean(sanitize),
+        });
+    }
+
+    /**
+     * Converts html to GitHub-flavoured Markdown.
+     * Markup that can't be represented in Markdown is kept as html.
+     *
+     * @param {String} html
+     * @returns {String}
+     */
+    function htmlToMarkdown(html) {
+        if (!turndownService) {
+            turndownService = new window.TurndownService({
+                codeBlockStyle: "fenced",
+                headingStyle: "atx",
+                hr: "---",
+            });
+            turndownService.use(window.turndownPluginGfm.gfm);
+            // CKEditor's to-do lists wrap the checkbox in a label
+            turndownService.addRule("todoList", {
+                filter: (node) =>
+                    node.nodeName === "INPUT" &&
+                    node.type === "checkbox" &&
+                    node.parentNode.nodeName === "LABEL",
+                replacement: (content, node) => (node.checked ? "[x] " : "[ ] "),
+            });
+        }
+        return turndownService.turndown(html || "");
+    }
+
+    /**
+     * CKEditor plugin loading and saving the editor's data as GitHub-flavoured
+     * Markdown, when enabled by the `odooMarkdown` editor configuration.
+     *
+     * Only the data is converted: the clipboard and the html inserted by other
+     * plugins still use the html data processor, `editor.data.htmlProcessor`.
+     *
+     * @param {Editor} editor
+     */
+    function OdooMarkdownPlugin(editor) {
+        if (!editor.config.get("odooMarkdown")) {
+            return;
+        }
+        const htmlProcessor = editor.data.processor;
+        editor.data.processor = Object.assign(Object.create(htmlProcessor), {
+            toView: (data) => htmlProcessor.toView(markdownToHtml(data)),
+            toData: (fragment) => htmlToMarkdown(htmlProcessor.toData(fragment)),
+        });
+    }
+
+    return {
+        htmlToMarkdown,
+        markdownToHtml,
+        OdooMarkdownPlugin,
+    };
+});
@@ -0,0 +1,48 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.media_library", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const {addToolbarButton} = require("web_widget_ckeditor.toolbar");
+    const _t = core._t;
+
+    /**
+     * CKEditor plugin inserting images already stored as ir.attachment, with
+     * the `insertFromLibrary` toolbar item.
+     *
+     * Options are read from the `odooMediaLibrary` editor configuration:
+     * - `openDialog`: returns a Promise resolved with the image to insert,
+     *   as {url, name}.
+     *
+     * @param {Editor} editor
+     */
+    function OdooMediaLibraryPlugin(editor) {
+        const options = editor.config.get("odooMediaLibrary");
+        if (!options) {
+            return;
+        }
+        addToolbarButton(editor, "insertFromLibrary", {
+            label: _t("Insert from library"),
+            isEnabled: () => {
+                const command = editor.commands.get("insertImage");
+                return Boolean(command && command.isEnabled);
+            },
+            onExecute: async () => {
+                const image = await options.openDialog();
+                if (!image) {
+                    return;
+                }
+                editor.execute("insertImage", {source: image.url});
+                editor.editing.view.focus();
+            },
+        });
+    }
+
+    return {
+        OdooMediaLibraryPlugin,
+    };
+});
@@ -0,0 +1,187 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.MediaLibraryDialog", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const Dialog = require("web.Dialog");
+    const session = require("web.session");
+    const _t = core._t;
+
+    // Delay before searching images, while the user types
+    const SEARCH_DELAY = 300;
+    const SEARCH_LIMIT = 40;
+    const IMAGE_URL_ROUTE = "/web_widget_ckeditor/image_url";
+
+    /**
+     * Dialog to browse the images stored as ir.attachment, to insert them
+     * again instead of uploading them twice. The most recent images are
+     * displayed first.
+     */
+    const CKEditorMediaLibraryDialog = Dialog.extend({
+        template: "web_widget_ckeditor.MediaLibraryDialog",
+        events: _.extend({}, Dialog.prototype.events, {
+            "click .o_ckeditor_media_library_filter": "_onClickFilter",
+            "input .o_ckeditor_media_library_search": "_onInputSearch",
+            "click .o_ckeditor_media_library_image": "_onClickImage",
+            "click .o_ckeditor_media_library_more": "_onClickMore",
+        }),
+
+        /**
+         * @override
+         * @param {Widget} parent
+         * @param {Object} options
+         * @param {String} [options.model] the model of the current record
+         * @param {Number} [options.resId] the id of the current record
+         * @param {Function} options.onSelect called with the selected image,
+         *   as {url, name}
+         */
+        init: function (parent, options) {
+            this._super(parent, {
+                title: _t("Insert from library"),
+                size: "large",
+                buttons: [{text: _t("Cancel"), close: true}],
+            });
+            this.model = options.model;
+            this.resId = options.resId;
+            this.onSelect = options.onSelect;
+            this.filters = [
+                {name: "all", label: _t("All")},
+                {name: "shared", label: _t("Shared")},
+                {name: "mine", label: _t("My uploads")},
+            ];
+            if (this.model && this.resId) {
+                this.filters.splice(1, 0, {name: "record", label: _t("This record")});
+            }
+            this.filter = this.filters[1].name;
+            this.images = [];
+            this._searchImages = _.debounce(
+                this._searchImages.bind(this),
+                SEARCH_DELAY
+            );
+        },
+        /**
+         * @override
+         */
+        start: function () {
+            return Promise.all([
+                this._super.apply(this, arguments),
+                this._searchImages(),
+            ]);
+        },
+
+        // --------------------------------------------------------------------------
+        // Private
+        // --------------------------------------------------------------------------
+
+        /**
+         * @private
+         * @returns {Array} the domain of the images matching the filter and
+         *   the search
+         */
+        _getDomain: function () {
+            const domain = [
+                ["mimetype", "=like", "image/%"],
+                ["type", "=", "binary"],
+            ];
+            if (this.filter === "record") {
+                domain.push(
+                    ["res_model", "=", this.model],
+                    ["res_id", "=", this.resId]
+                );
+            } else if (this.filter === "shared") {
+                // Company-wide assets aren't linked to a record
+                domain.push("|", ["res_model", "=", false], ["public", "=", true]);
+            } else if (this.filter === "mine") {
+                domain.push(["create_uid", "=", session.uid]);
+            }
+            const search = this.$(".o_ckeditor_media_library_search").val();
+            if (search) {
+                domain.push(["name", "ilike", search]);
+            }
+            return domain;
+        },
+        /**
+         * Searches the images matching the filter and the search.
+         *
+         * @private
+         * @param {Boolean} [more] loads the next images, instead of the first ones
+         */
+        _searchImages: async function (more) {
+            const domain = this._getDomain();
+            const images = await this._rpc({
+                model: "ir.attachment",
+                method: "search_read",
+                domain: domain,
+                fields: ["name", "res_name"],
+                orderBy: [{name: "id", asc: false}],
+                offset: more ? this.images.length : 0,
+                limit: SEARCH_LIMIT,
+            });
+            // The filter or the search may have changed in the meantime
+            if (!_.isEqual(domain, this._getDomain()) || this.isDestroyed()) {
+                return;
+            }
+            this.images = more ? this.images.concat(images) : images;
+            this.$(".o_ckeditor_media_library_images").html(
+                core.qweb.render("web_widget_ckeditor.MediaLibraryImages", {
+                    images: this.images,
+                    hasMore: images.length === SEARCH_LIMIT,
+                })
+            );
+        },
+
+        // --------------------------------------------------------------------------
+        // Handlers
+        // --------------------------------------------------------------------------
+
+        /**
+         * @private
+         * @param {MouseEvent} ev
+         */
+        _onClickFilter: function (ev) {
+            this.filter = $(ev.currentTarget).data("filter");
+            this.$(".o_ckeditor_media_library_filter").each((index, button) =>
+                $(button).toggleClass(
+                    "active",
+                    $(button).data("filter") === this.filter
+                )
+            );
+            this._searchImages();
+        },
+        /**
+         * @private
+         */
+        _onInputSearch: function () {
+            this._searchImages();
+        },
+        /**
+         * @private
+         */
+        _onClickMore: function () {
+            this._searchImages(true);
+        },
+        /**
+         * @private
+         * @param {MouseEvent} ev
+         */
+        _onClickImage: async function (ev) {
+            ev.preventDefault();
+            const image = await this._rpc({
+                route: IMAGE_URL_ROUTE,
+                params: {
+                    attachment_id: $(ev.currentTarget).data("id"),
+                    res_model: this.model,
+                    res_id: this.resId,
+                },
+            });
+            this.onSelect(image);
+            this.close();
+        },
+    });
+
+    return CKEditorMediaLibraryDialog;
+});
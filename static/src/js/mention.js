@@ -0,0 +1,242 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.mention", function (require) {
+    "use strict";
+
+    const rpc = require("web.rpc");
+
+    const SEARCH_LIMIT = 8;
+
+    /**
+     * Returns the url of a record in the web client.
+     *
+     * @param {String} model
+     * @param {Number} resId
+     * @returns {String}
+     */
+    function getRecordUrl(model, resId) {
+        return `/web#model=${encodeURIComponent(model)}&id=${resId}`;
+    }
+
+    /**
+     * Performs a rpc query, without displaying errors to the user.
+     * Used for lookups on models the user might not be allowed to read.
+     *
+     * @param {Object} params rpc.query params
+     * @param {any} defaultValue returned when the query fails
+     * @returns {Promise<any>}
+     */
+    async function silentQuery(params, defaultValue) {
+        try {
+            return await rpc.query(params);
+        } catch (error) {
+            if (error && error.event) {
+                error.event.preventDefault();
+            }
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Searches records using name_search.
+     *
+     * @param {String} model
+     * @param {String} query
+     * @param {Number} limit
+     * @returns {Promise<Array[]>} list of [id, display_name]
+     */
+    function nameSearch(model, query, limit) {
+        return silentQuery(
+            {
+                model: model,
+                method: "name_search",
+                kwargs: {name: query, limit: limit},
+            },
+            []
+        );
+    }
+
+    /**
+     * Feed for `@` mentions: users first, then other partners.
+     * Users are mentioned through their partner.
+     *
+     * @param {String} query
+     * @returns {Promise<Object[]>} mention feed items
+     */
+    async function searchPartners(query) {
+        const [users, partners] = await Promise.all([
+            silentQuery(
+                {
+                    model: "res.users",
+                    method: "search_read",
+                    domain: [["name", "ilike", query]],
+                    fields: ["partner_id"],
+                    limit: SEARCH_LIMIT,
+                },
+                []
+            ),
+            nameSearch("res.partner", query, SEARCH_LIMIT),
+        ]);
+        const results = users.map((user) => user.partner_id);
+        const seen = new Set(results.map(([id]) => id));
+        for (const partner of partners) {
+            if (!seen.has(partner[0])) {
+                results.push(partner);
+            }
+        }
+        return results.slice(0, SEARCH_LIMIT).map(([id, name]) => ({
+            id: `@${name}`,
+            text: `@${name}`,
+            resModel: "res.partner",
+            resId: id,
+        }));
+    }
+
+    /**
+     * Feed for `#` references to records of the configured models.
+     *
+     * @param {Object[]} models list of {model, name}
+     * @param {String} query
+     * @returns {Promise<Object[]>} mention feed items
+     */
+    async function searchRecords(models, query) {
+        const limit = Math.max(2, Math.ceil(SEARCH_LIMIT / models.length));
+        const results = await Promise.all(
+            models.map((model) => nameSearch(model.model, query, limit))
+        );
+        return _.flatten(
+            results.map((records, index) =>
+                records.map(([id, name]) => ({
+                    id: `#${name}`,
+                    text: `#${name}`,
+                    resModel: models[index].model,
+                    resId: id,
+                    modelName: models[index].name,
+                }))
+            ),
+            true
+        );
+    }
+
+    /**
+     * Renders a feed item, showing the model of the referenced record.
+     *
+     * @param {Object} item
+     * @returns {HTMLElement}
+     */
+    function renderRecordItem(item) {
+        const $item = $("<span/>", {class: "o_ckeditor_mention_item"});
+        $item.append($("<span/>").text(item.text));
+        $item.append(
+            $("<small/>", {class: "text-muted ml-2"}).text(
+                item.modelName || item.resModel
+            )
+        );
+        return $item.get(0);
+    }
+
+    /**
+     * Gets the CKEditor mention feeds configuration.
+     *
+     * @param {Object[]} models list of {model, name} for `#` references
+     * @returns {Object[]}
+     */
+    function getMentionFeeds(models) {
+        const feeds = [
+            {
+                marker: "@",
+                feed: searchPartners,
+                minimumCharacters: 1,
+            },
+        ];
+        if (models.length) {
+            feeds.push({
+                marker: "#",
+                feed: (query) => searchRecords(models, query),
+                itemRenderer: renderRecordItem,
+                minimumCharacters: 1,
+            });
+        }
+        return feeds;
+    }
+
+    /**
+     * CKEditor plugin converting mentions to links to the mentioned records:
+     *
+     *     <a class="mention" data-mention="@Name" data-oe-model="res.partner"
+     *        data-oe-id="42" href="/web#model=res.partner&id=42">@Name</a>
+     *
+     * The sanitizer of html fields removes `data-mention`, so mentions are
+     * recognized by their class and their `data-oe-*` attributes.
+     *
+     * See for details:
+     * https://ckeditor.com/docs/ckeditor5/latest/features/mentions.html#customizing-the-output
+     *
+     * @param {Editor} editor
+     */
+    function OdooMentionPlugin(editor) {
+        if (!editor.plugins.has("Mention")) {
+            return;
+        }
+        editor.conversion.for("upcast").elementToAttribute({
+            view: {
+                name: "a",
+                classes: "mention",
+                attributes: {
+                    "data-oe-model": true,
+                    "data-oe-id": true,
+                },
+            },
+            model: {
+                key: "mention",
+                value: (viewItem) => {
+                    const text = viewItem.getChild(0);
+                    return editor.plugins.get("Mention").toMentionAttribute(viewItem, {
+                        id:
+                            viewItem.getAttribute("data-mention") ||
+                            (text && text.is("$text") ? text.data : undefined),
+                        resModel: viewItem.getAttribute("data-oe-model"),
+                        resId: parseInt(viewItem.getAttribute("data-oe-id"), 10),
+                    });
+                },
+            },
+            converterPriority: "high",
+        });
+        editor.conversion.for("downcast").attributeToElement({
+            model: "mention",
+            view: (mention, {writer}) => {
+                if (!mention || !mention.resModel) {
+                    return;
+                }
+                return writer.createAttributeElement(
+                    "a",
+                    {
+                        class: "mention",
+                        "data-mention": mention.id,
+                        "data-oe-model": mention.resModel,
+                        "data-oe-id": mention.resId,
+                        href: getRecordUrl(mention.resModel, mention.resId),
+                    },
+                    {
+                        // Make mention attribute to be wrapped by other attribute elements.
+                        priority: 20,
+                        // Prevent merging mentions together.
+                        id: mention.uid,
+                    }
+                );
+            },
+            converterPriority: "high",
+        });
+    }
+
+    return {
+        getMentionFeeds,
+        getRecordUrl,
+        nameSearch,
+        silentQuery,
+        OdooMentionPlugin,
+    };
+});
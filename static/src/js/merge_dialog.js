@@ -0,0 +1,85 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.MergeDialog", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const Dialog = require("web.Dialog");
+    const _t = core._t;
+
+    /**
+     * Dialog merging the changes of the user with the changes someone else
+     * saved meanwhile, block by block. The user chooses the version to keep
+     * for each conflict.
+     */
+    const CKEditorMergeDialog = Dialog.extend({
+        template: "web_widget_ckeditor.MergeDialog",
+
+        /**
+         * @override
+         * @param {Widget} parent
+         * @param {Object} options
+         * @param {String} options.fieldLabel
+         * @param {Object[]} options.chunks the chunks of the merge, see
+         *   `web_widget_ckeditor_merge`
+         * @param {Function} options.onMerge called with the merged value
+         */
+        init: function (parent, options) {
+            this._super(parent, {
+                title: _.str.sprintf(_t("Merge: %s"), options.fieldLabel),
+                size: "extra-large",
+                buttons: [
+                    {
+                        text: _t("Merge"),
+                        classes: "btn-primary",
+                        click: this._onMerge.bind(this),
+                    },
+                    {text: _t("Cancel"), close: true},
+                ],
+            });
+            this.chunks = options.chunks;
+            this.onMerge = options.onMerge;
+        },
+
+        // --------------------------------------------------------------------------
+        // Private
+        // --------------------------------------------------------------------------
+
+        /**
+         * @private
+         * @returns {String} the merged value, with the chosen versions
+         */
+        _getMergedValue: function () {
+            return this.chunks
+                .map((chunk, index) => {
+                    if (!chunk.conflict) {
+                        return chunk.value;
+                    }
+                    const version = this.$(
+                        `input[name='o_ckeditor_merge_${index}']:checked`
+                    ).val();
+                    return version === "both"
+                        ? chunk.mine + chunk.theirs
+                        : chunk[version];
+                })
+                .join("");
+        },
+
+        // --------------------------------------------------------------------------
+        // Handlers
+        // --------------------------------------------------------------------------
+
+        /**
+         * @private
+         */
+        _onMerge: function () {
+            this.onMerge(this._getMergedValue());
+            this.close();
+        },
+    });
+
+    return CKEditorMergeDialog;
+});
@@ -0,0 +1,147 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.placeholder", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const {addToolbarButton} = require("web_widget_ckeditor.toolbar");
+    const _t = core._t;
+
+    const PLACEHOLDER_CLASS = "o_ckeditor_placeholder";
+    // Placeholders, e.g. ${object.partner_id.name}, outside of html tags
+    const PLACEHOLDER_RE = /(<[^>]*>)|\$\{([^}]*)\}/g;
+    const PLACEHOLDER_CHIP_RE = new RegExp(
+        `<span class="${PLACEHOLDER_CLASS}" data-expression="([^"]*)">[^<]*</span>`,
+        "g"
+    );
+
+    /**
+     * Converts the placeholders of an html value to chips, understood by the
+     * editor: `<span class="o_ckeditor_placeholder" data-expression="...">`.
+     *
+     * @param {String} value
+     * @returns {String}
+     */
+    function toPlaceholderChips(value) {
+        return (value || "").replace(PLACEHOLDER_RE, (match, tag, expression) => {
+            if (tag) {
+                return tag;
+            }
+            // Expressions can contain unescaped html characters, e.g. `>`
+            expression = _.escape(_.unescape(expression));
+            return `<span class="${PLACEHOLDER_CLASS}" data-expression="${expression}">\${${expression}}</span>`;
+        });
+    }
+
+    /**
+     * Converts the chips of an html value back to placeholders. Expressions
+     * are not escaped, as they're evaluated as is when rendering the template.
+     *
+     * @param {String} value
+     * @returns {String}
+     */
+    function fromPlaceholderChips(value) {
+        return (value || "").replace(
+            PLACEHOLDER_CHIP_RE,
+            (match, expression) => `\${${_.unescape(expression)}}`
+        );
+    }
+
+    /**
+     * CKEditor plugin displaying the placeholders of templates, e.g.
+     * `${object.partner_id.name}`, as non-editable chips.
+     *
+     * Options are read from the `odooPlaceholder` editor configuration:
+     * - `openFieldPicker`: returns a Promise resolved with the expression to insert.
+     * - `openPreview`: called with the editor's data, to preview it.
+     *
+     * It adds the `insertPlaceholder` and `previewPlaceholders` toolbar items.
+     *
+     * @param {Editor} editor
+     */
+    function OdooPlaceholderPlugin(editor) {
+        const options = editor.config.get("odooPlaceholder");
+        if (!options) {
+            return;
+        }
+        // Chips are only used within the editor, the data keeps the placeholders
+        const processor = editor.data.processor;
+        const toView = processor.toView.bind(processor);
+        const toData = processor.toData.bind(processor);
+        processor.toView = (data) => toView(toPlaceholderChips(data));
+        processor.toData = (fragment) => fromPlaceholderChips(toData(fragment));
+
+        editor.model.schema.register("odooPlaceholder", {
+            inheritAllFrom: "$inlineObject",
+            allowAttributes: ["expression"],
+        });
+        editor.conversion.for("upcast").elementToElement({
+            view: {name: "span", classes: PLACEHOLDER_CLASS},
+            model: (viewElement, {writer}) =>
+                writer.createElement("odooPlaceholder", {
+                    expression: viewElement.getAttribute("data-expression"),
+                }),
+            converterPriority: "high",
+        });
+        editor.conversion.for("dataDowncast").elementToElement({
+            model: "odooPlaceholder",
+            view: (modelElement, {writer}) => {
+                const expression = modelElement.getAttribute("expression");
+                return writer.createContainerElement(
+                    "span",
+                    {class: PLACEHOLDER_CLASS, "data-expression": expression},
+                    [writer.createText(`\${${expression}}`)]
+                );
+            },
+        });
+        editor.conversion.for("editingDowncast").elementToElement({
+            model: "odooPlaceholder",
+            view: (modelElement, {writer}) => {
+                const expression = modelElement.getAttribute("expression");
+                return writer.createRawElement(
+                    "span",
+                    {
+                        class: PLACEHOLDER_CLASS,
+                        contenteditable: "false",
+                        title: expression,
+                    },
+                    (domElement) => {
+                        domElement.textContent = `\${${expression}}`;
+                    }
+                );
+            },
+        });
+
+        addToolbarButton(editor, "insertPlaceholder", {
+            label: _t("Insert field"),
+            onExecute: async () => {
+                const expression = await options.openFieldPicker();
+                if (!expression) {
+                    return;
+                }
+                editor.model.change((writer) => {
+                    const placeholder = writer.createElement("odooPlaceholder", {
+                        expression: expression,
+                    });
+                    editor.model.insertContent(placeholder);
+                    writer.setSelection(placeholder, "after");
+                });
+                editor.editing.view.focus();
+            },
+        });
+        addToolbarButton(editor, "previewPlaceholders", {
+            label: _t("Preview"),
+            onExecute: () => options.openPreview(editor.getData()),
+            isEnabled: () => true,
+        });
+    }
+
+    return {
+        fromPlaceholderChips,
+        toPlaceholderChips,
+        OdooPlaceholderPlugin,
+    };
+});
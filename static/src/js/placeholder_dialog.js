@@ -0,0 +1,198 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.PlaceholderDialog", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const Dialog = require("web.Dialog");
+    const ModelFieldSelector = require("web.ModelFieldSelector");
+    const _t = core._t;
+
+    // Number of sample records offered in the preview
+    const SAMPLE_LIMIT = 20;
+
+    /**
+     * Dialog to pick a field of the template's model, possibly through its
+     * relations, and build the placeholder's expression.
+     */
+    const CKEditorPlaceholderDialog = Dialog.extend({
+        template: "web_widget_ckeditor.PlaceholderDialog",
+        custom_events: _.extend({}, Dialog.prototype.custom_events, {
+            field_chain_changed: "_onFieldChainChanged",
+        }),
+
+        /**
+         * @override
+         * @param {Widget} parent
+         * @param {Object} options
+         * @param {String} options.model the template's model
+         * @param {Function} options.onInsert called with the expression
+         */
+        init: function (parent, options) {
+            this._super(parent, {
+                title: _t("Insert a field"),
+                buttons: [
+                    {
+                        text: _t("Insert"),
+                        classes: "btn-primary",
+                        click: this._onInsert.bind(this),
+                    },
+                    {text: _t("Cancel"), close: true},
+                ],
+            });
+            this.model = options.model;
+            this.onInsert = options.onInsert;
+            this.chain = [];
+        },
+        /**
+         * @override
+         */
+        start: function () {
+            this.fieldSelector = new ModelFieldSelector(this, this.model, [], {
+                readonly: false,
+                followRelations: true,
+            });
+            return Promise.all([
+                this._super.apply(this, arguments),
+                this.fieldSelector.appendTo(this.$(".o_ckeditor_placeholder_field")),
+            ]);
+        },
+
+        // --------------------------------------------------------------------------
+        // Private
+        // --------------------------------------------------------------------------
+
+        /**
+         * Builds the expression, e.g. `object.partner_id.name or '''Customer'''`
+         *
+         * @private
+         * @returns {String}
+         */
+        _getExpression: function () {
+            const defaultValue = this.$(".o_ckeditor_placeholder_default").val();
+            let expression = ["object"].concat(this.chain).join(".");
+            if (defaultValue) {
+                const quoted = defaultValue.replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+                expression += ` or '''${quoted}'''`;
+            }
+            return expression;
+        },
+
+        // --------------------------------------------------------------------------
+        // Handlers
+        // --------------------------------------------------------------------------
+
+        /**
+         * @private
+         * @param {OdooEvent} ev
+         */
+        _onFieldChainChanged: function (ev) {
+            ev.stopPropagation();
+            this.chain = ev.data.chain;
+            this.fieldSelector.setChain(this.chain);
+        },
+        /**
+         * @private
+         */
+        _onInsert: function () {
+            if (!this.chain.length) {
+                this.displayNotification({
+                    type: "warning",
+                    message: _t("Please select a field."),
+                });
+                return;
+            }
+            this.onInsert(this._getExpression());
+            this.close();
+        },
+    });
+
+    /**
+     * Dialog previewing a template, with its placeholders rendered against
+     * a sample record.
+     */
+    const CKEditorPlaceholderPreviewDialog = Dialog.extend({
+        template: "web_widget_ckeditor.PlaceholderPreviewDialog",
+        events: _.extend({}, Dialog.prototype.events, {
+            "change .o_ckeditor_placeholder_sample": "_onChangeSample",
+        }),
+
+        /**
+         * @override
+         * @param {Widget} parent
+         * @param {Object} options
+         * @param {String} options.model the template's model
+         * @param {String} options.value the template's html value
+         */
+        init: function (parent, options) {
+            this._super(parent, {
+                title: _t("Preview"),
+                size: "large",
+                buttons: [{text: _t("Close"), close: true}],
+            });
+            this.model = options.model;
+            this.value = options.value;
+        },
+        /**
+         * @override
+         */
+        willStart: async function () {
+            const [samples] = await Promise.all([
+                this._rpc({
+                    model: this.model,
+                    method: "name_search",
+                    kwargs: {limit: SAMPLE_LIMIT},
+                }),
+                this._super.apply(this, arguments),
+            ]);
+            this.samples = samples;
+        },
+        /**
+         * @override
+         */
+        start: function () {
+            const promises = [this._super.apply(this, arguments)];
+            if (this.samples.length) {
+                promises.push(this._renderPreview(this.samples[0][0]));
+            }
+            return Promise.all(promises);
+        },
+
+        // --------------------------------------------------------------------------
+        // Private
+        // --------------------------------------------------------------------------
+
+        /**
+         * @private
+         * @param {Number} resId the sample record
+         */
+        _renderPreview: async function (resId) {
+            const preview = await this._rpc({
+                model: "web.widget.ckeditor.placeholder",
+                method: "render_preview",
+                args: [this.model, resId, this.value],
+            });
+            this.$(".o_ckeditor_placeholder_preview").html(preview);
+        },
+
+        // --------------------------------------------------------------------------
+        // Handlers
+        // --------------------------------------------------------------------------
+
+        /**
+         * @private
+         * @param {Event} ev
+         */
+        _onChangeSample: function (ev) {
+            this._renderPreview(parseInt(ev.currentTarget.value, 10));
+        },
+    });
+
+    return {
+        CKEditorPlaceholderDialog,
+        CKEditorPlaceholderPreviewDialog,
+    };
+});
@@ -0,0 +1,205 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.record_link", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const {getRecordUrl, silentQuery} = require("web_widget_ckeditor.mention");
+    const {
+        addToolbarButton,
+        getButtonViewClass,
+    } = require("web_widget_ckeditor.toolbar");
+    const _t = core._t;
+
+    const RECORD_URL_RE = /^\/web#/;
+    // Text attribute of the links displaying the name of the linked record,
+    // which is updated in readonly mode, unlike the text typed by the users
+    const RECORD_NAME_ATTRIBUTE = "odooRecordName";
+    const RECORD_NAME_CLASS = "o_ckeditor_record_name";
+
+    /**
+     * Parses the url of a record in the web client, e.g.
+     * `/web#model=res.partner&id=42`.
+     *
+     * @param {String} url
+     * @returns {Object|undefined} {model, resId}
+     */
+    function parseRecordUrl(url) {
+        if (!url || !RECORD_URL_RE.test(url)) {
+            return;
+        }
+        const params = new URLSearchParams(url.replace(RECORD_URL_RE, ""));
+        const resId = parseInt(params.get("id"), 10);
+        const model = params.get("model");
+        if (model && resId) {
+            return {model: model, resId: resId};
+        }
+    }
+
+    /**
+     * Gets the current display name of records, by model and id.
+     * Records that don't exist anymore are missing from the result, and
+     * models that can't be read are ignored.
+     *
+     * @param {Object[]} records list of {model, resId}
+     * @returns {Promise<Object>} {model: {id: display_name}}
+     */
+    async function getRecordNames(records) {
+        const byModel = _.groupBy(records, "model");
+        const res = {};
+        await Promise.all(
+            _.map(byModel, async (modelRecords, model) => {
+                const ids = _.uniq(_.pluck(modelRecords, "resId"));
+                const result = await silentQuery(
+                    {
+                        model: model,
+                        method: "search_read",
+                        domain: [["id", "in", ids]],
+                        fields: ["display_name"],
+                        context: {active_test: false},
+                    },
+                    null
+                );
+                if (result) {
+                    res[model] = _.object(
+                        result.map((record) => [record.id, record.display_name])
+                    );
+                }
+            })
+        );
+        return res;
+    }
+
+    /**
+     * Links the selection to a record. Without selection, the record's name
+     * is inserted as the link's text, marked with the `o_ckeditor_record_name`
+     * class.
+     *
+     * @param {Editor} editor
+     * @param {Object} record {model, resId, name}
+     */
+    function linkRecord(editor, record) {
+        const url = getRecordUrl(record.model, record.resId);
+        const selection = editor.model.document.selection;
+        if (selection.isCollapsed && !selection.hasAttribute("linkHref")) {
+            editor.model.change((writer) => {
+                const text = writer.createText(record.name, {
+                    linkHref: url,
+                    [RECORD_NAME_ATTRIBUTE]: true,
+                });
+                editor.model.insertContent(text);
+            });
+        } else {
+            editor.execute("link", url);
+        }
+        editor.editing.view.focus();
+    }
+
+    /**
+     * CKEditor plugin linking records of the web client, with the `linkRecord`
+     * toolbar item, and a button in the link balloon.
+     *
+     * Options are read from the `odooRecordLink` editor configuration:
+     * - `openDialog`: returns a Promise resolved with the record to link to,
+     *   as {model, resId, name}.
+     *
+     * @param {Editor} editor
+     */
+    function OdooRecordLinkPlugin(editor) {
+        const options = editor.config.get("odooRecordLink");
+        if (!options || !editor.plugins.has("Link")) {
+            return;
+        }
+        const model = editor.model;
+        model.schema.extend("$text", {allowAttributes: RECORD_NAME_ATTRIBUTE});
+        model.schema.setAttributeProperties(RECORD_NAME_ATTRIBUTE, {
+            copyOnEnter: false,
+        });
+        // The class is added to the link's element, like link decorators
+        editor.conversion.for("upcast").elementToAttribute({
+            view: {name: "a", classes: RECORD_NAME_CLASS},
+            model: {key: RECORD_NAME_ATTRIBUTE, value: true},
+            converterPriority: "high",
+        });
+        editor.conversion.for("downcast").attributeToElement({
+            model: RECORD_NAME_ATTRIBUTE,
+            view: (value, {writer}) =>
+                value &&
+                writer.createAttributeElement(
+                    "a",
+                    {class: RECORD_NAME_CLASS},
+                    {priority: 5}
+                ),
+        });
+        // The record's name isn't linked anymore, e.g. once unlinked
+        model.document.registerPostFixer((writer) => {
+            const items = [];
+            for (const change of model.document.differ.getChanges()) {
+                let range = change.range;
+                if (change.type === "insert") {
+                    range = model.createRange(
+                        change.position,
+                        change.position.getShiftedBy(change.length)
+                    );
+                } else if (change.type !== "attribute") {
+                    continue;
+                }
+                for (const item of range.getItems()) {
+                    if (
+                        item.is("$textProxy") &&
+                        item.hasAttribute(RECORD_NAME_ATTRIBUTE) &&
+                        !item.hasAttribute("linkHref")
+                    ) {
+                        items.push(item);
+                    }
+                }
+            }
+            for (const item of items) {
+                writer.removeAttribute(RECORD_NAME_ATTRIBUTE, item);
+            }
+            return items.length > 0;
+        });
+        const onExecute = async () => {
+            const record = await options.openDialog();
+            if (record) {
+                linkRecord(editor, record);
+            }
+        };
+        addToolbarButton(editor, "linkRecord", {
+            label: _t("Link to record"),
+            onExecute: onExecute,
+            isEnabled: () => editor.commands.get("link").isEnabled,
+        });
+        // The link balloon's form is only created when first displayed
+        editor.on("ready", () => {
+            if (!editor.plugins.has("LinkUI")) {
+                return;
+            }
+            const linkUI = editor.plugins.get("LinkUI");
+            const balloon = editor.plugins.get("ContextualBalloon");
+            balloon.on("change:visibleView", (ev, name, view) => {
+                const formView = linkUI.formView;
+                if (!view || view !== formView || formView.odooRecordButton) {
+                    return;
+                }
+                const ButtonView = getButtonViewClass(editor);
+                const button = new ButtonView(editor.locale);
+                button.set({label: _t("Record"), withText: true});
+                button.on("execute", onExecute);
+                formView.odooRecordButton = button;
+                formView.children.add(button, formView.children.length - 2);
+            });
+        });
+    }
+
+    return {
+        RECORD_NAME_CLASS,
+        getRecordNames,
+        linkRecord,
+        parseRecordUrl,
+        OdooRecordLinkPlugin,
+    };
+});
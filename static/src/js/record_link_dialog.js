@@ -0,0 +1,143 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.RecordLinkDialog", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const Dialog = require("web.Dialog");
+    const {nameSearch} = require("web_widget_ckeditor.mention");
+    const _t = core._t;
+
+    // Delay before searching records, while the user types
+    const SEARCH_DELAY = 300;
+    const SEARCH_LIMIT = 20;
+
+    /**
+     * Dialog to search a record of any model, to link to it.
+     */
+    const CKEditorRecordLinkDialog = Dialog.extend({
+        template: "web_widget_ckeditor.RecordLinkDialog",
+        events: _.extend({}, Dialog.prototype.events, {
+            "change .o_ckeditor_record_link_model": "_onChangeModel",
+            "input .o_ckeditor_record_link_search": "_onInputSearch",
+            "click .o_ckeditor_record_link_result": "_onClickResult",
+        }),
+
+        /**
+         * @override
+         * @param {Widget} parent
+         * @param {Object} options
+         * @param {String} [options.model] the model selected by default
+         * @param {Function} options.onSelect called with the selected record,
+         *   as {model, resId, name}
+         */
+        init: function (parent, options) {
+            this._super(parent, {
+                title: _t("Link to a record"),
+                buttons: [{text: _t("Cancel"), close: true}],
+            });
+            this.model = options.model;
+            this.onSelect = options.onSelect;
+            this._searchRecords = _.debounce(
+                this._searchRecords.bind(this),
+                SEARCH_DELAY
+            );
+        },
+        /**
+         * @override
+         */
+        willStart: async function () {
+            const [models] = await Promise.all([
+                this._rpc({
+                    model: "ir.model",
+                    method: "search_read",
+                    domain: [["transient", "=", false]],
+                    fields: ["model", "name"],
+                    orderBy: [{name: "name", asc: true}],
+                }),
+                this._super.apply(this, arguments),
+            ]);
+            this.models = models;
+        },
+        /**
+         * @override
+         */
+        start: function () {
+            return Promise.all([
+                this._super.apply(this, arguments),
+                this._searchRecords(),
+            ]);
+        },
+
+        // --------------------------------------------------------------------------
+        // Private
+        // --------------------------------------------------------------------------
+
+        /**
+         * Searches the records of the selected model, matching the search.
+         *
+         * @private
+         */
+        _searchRecords: async function () {
+            const $results = this.$(".o_ckeditor_record_link_results");
+            if (!this.model) {
+                $results.empty();
+                return;
+            }
+            const model = this.model;
+            const records = await nameSearch(
+                model,
+                this.$(".o_ckeditor_record_link_search").val() || "",
+                SEARCH_LIMIT
+            );
+            // The model may have changed in the meantime
+            if (model !== this.model || this.isDestroyed()) {
+                return;
+            }
+            $results.html(
+                core.qweb.render("web_widget_ckeditor.RecordLinkResults", {
+                    records: records,
+                })
+            );
+        },
+
+        // --------------------------------------------------------------------------
+        // Handlers
+        // --------------------------------------------------------------------------
+
+        /**
+         * @private
+         * @param {Event} ev
+         */
+        _onChangeModel: function (ev) {
+            const model = ev.currentTarget.value;
+            this.model = _.findWhere(this.models, {model: model}) ? model : undefined;
+            this._searchRecords();
+        },
+        /**
+         * @private
+         */
+        _onInputSearch: function () {
+            this._searchRecords();
+        },
+        /**
+         * @private
+         * @param {MouseEvent} ev
+         */
+        _onClickResult: function (ev) {
+            ev.preventDefault();
+            const $result = $(ev.currentTarget);
+            this.onSelect({
+                model: this.model,
+                resId: $result.data("id"),
+                name: $result.text().trim(),
+            });
+            this.close();
+        },
+    });
+
+    return CKEditorRecordLinkDialog;
+});
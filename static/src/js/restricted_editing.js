@@ -0,0 +1,144 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.restricted_editing", function () {
+    "use strict";
+
+    // Text attribute of the editable regions, see StandardEditingMode
+    const EXCEPTION_ATTRIBUTE = "restrictedEditingException";
+    const LOCK_ID = "OdooRestrictedEditing";
+
+    // Commands allowed within the editable regions, and the side of the
+    // selection they change when it's collapsed
+    const ALLOWED_COMMANDS = {
+        input: undefined,
+        insertText: undefined,
+        delete: "backward",
+        deleteForward: "forward",
+        bold: undefined,
+        italic: undefined,
+        link: undefined,
+        unlink: undefined,
+    };
+    // Commands that don't change the content, or only undo the user's changes
+    const UNRESTRICTED_COMMANDS = [
+        "undo",
+        "redo",
+        "selectAll",
+        "find",
+        "findNext",
+        "findPrevious",
+    ];
+
+    /**
+     * @param {Node} node model node
+     * @returns {Boolean}
+     */
+    function isEditableNode(node) {
+        return Boolean(
+            node && node.is("$text") && node.hasAttribute(EXCEPTION_ATTRIBUTE)
+        );
+    }
+
+    /**
+     * Returns whether the selection is within an editable region.
+     *
+     * @param {DocumentSelection} selection
+     * @param {String} [direction] the side of a collapsed selection which is
+     *   changed: `backward`, `forward`, or the selection's attributes by default
+     * @returns {Boolean}
+     */
+    function isSelectionEditable(selection, direction) {
+        if (selection.isCollapsed) {
+            const position = selection.getFirstPosition();
+            if (direction === "backward") {
+                return isEditableNode(position.nodeBefore);
+            }
+            if (direction === "forward") {
+                return isEditableNode(position.nodeAfter);
+            }
+            return selection.hasAttribute(EXCEPTION_ATTRIBUTE);
+        }
+        return Array.from(selection.getRanges()).every((range) =>
+            Array.from(range.getItems()).every(
+                (item) =>
+                    item.is("$textProxy") && item.hasAttribute(EXCEPTION_ATTRIBUTE)
+            )
+        );
+    }
+
+    /**
+     * CKEditor plugin restricting the editing to the regions marked as
+     * editable with StandardEditingMode, when enabled by the
+     * `odooRestrictedEditing` editor configuration.
+     *
+     * Like CKEditor's RestrictedEditingMode, which isn't part of the build,
+     * commands are disabled outside the editable regions, and only a few of
+     * them are enabled inside. Pasted content is inserted as plain text.
+     *
+     * @param {Editor} editor
+     */
+    function OdooRestrictedEditingPlugin(editor) {
+        if (!editor.config.get("odooRestrictedEditing")) {
+            return;
+        }
+        const selection = editor.model.document.selection;
+        const updateCommands = () => {
+            for (const [name, command] of editor.commands) {
+                if (UNRESTRICTED_COMMANDS.includes(name)) {
+                    continue;
+                }
+                if (
+                    name in ALLOWED_COMMANDS &&
+                    isSelectionEditable(selection, ALLOWED_COMMANDS[name])
+                ) {
+                    command.clearForceDisabled(LOCK_ID);
+                } else {
+                    command.forceDisabled(LOCK_ID);
+                }
+            }
+        };
+        editor.on("ready", () => {
+            updateCommands();
+            selection.on("change", updateCommands);
+            editor.model.document.on("change", updateCommands);
+            // Use the styles of CKEditor's restricted editing mode
+            const root = editor.editing.view.document.getRoot();
+            editor.editing.view.change((writer) => {
+                writer.removeClass("ck-restricted-editing_mode_standard", root);
+                writer.addClass("ck-restricted-editing_mode_restricted", root);
+            });
+        });
+        const viewDocument = editor.editing.view.document;
+        viewDocument.on(
+            "clipboardOutput",
+            (ev, data) => {
+                if (data.method === "cut" && !isSelectionEditable(selection)) {
+                    data.method = "copy";
+                }
+            },
+            {priority: "high"}
+        );
+        if (editor.plugins.has("ClipboardPipeline")) {
+            editor.plugins.get("ClipboardPipeline").on(
+                "inputTransformation",
+                (ev, data) => {
+                    if (!isSelectionEditable(selection)) {
+                        ev.stop();
+                        return;
+                    }
+                    const text = data.dataTransfer.getData("text/plain");
+                    data.content = editor.data.htmlProcessor.toView(_.escape(text));
+                },
+                {priority: "high"}
+            );
+        }
+    }
+
+    return {
+        isSelectionEditable,
+        OdooRestrictedEditingPlugin,
+    };
+});
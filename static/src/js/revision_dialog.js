@@ -0,0 +1,145 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.RevisionDialog", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const Dialog = require("web.Dialog");
+    const field_utils = require("web.field_utils");
+    const _t = core._t;
+
+    /**
+     * Dialog listing the revisions of an html field, showing the differences
+     * between any two of them.
+     */
+    const CKEditorRevisionDialog = Dialog.extend({
+        template: "web_widget_ckeditor.RevisionDialog",
+        events: _.extend({}, Dialog.prototype.events, {
+            "change .o_ckeditor_revision_list input": "_onChangeRevision",
+            "click .o_ckeditor_revision_restore": "_onRestore",
+        }),
+
+        /**
+         * @override
+         * @param {Widget} parent
+         * @param {Object} options
+         * @param {String} options.model
+         * @param {Number} options.resId
+         * @param {String} options.fieldName
+         * @param {String} options.fieldLabel
+         * @param {Object} options.context
+         * @param {Function} [options.onRestore] called with the value of the
+         *   restored revision. Revisions can't be restored without it.
+         */
+        init: function (parent, options) {
+            this._super(parent, {
+                title: _.str.sprintf(_t("History: %s"), options.fieldLabel),
+                size: "extra-large",
+                buttons: [{text: _t("Close"), close: true}],
+            });
+            this.model = options.model;
+            this.resId = options.resId;
+            this.fieldName = options.fieldName;
+            this.context = options.context;
+            this.onRestore = options.onRestore;
+        },
+        /**
+         * @override
+         */
+        willStart: async function () {
+            const [revisions] = await Promise.all([
+                this._rpc({
+                    model: this.model,
+                    method: "web_widget_ckeditor_read_revisions",
+                    args: [[this.resId], this.fieldName],
+                    context: this.context,
+                }),
+                this._super.apply(this, arguments),
+            ]);
+            this.revisions = revisions.map((revision) =>
+                Object.assign(revision, {
+                    displayDate: field_utils.format.datetime(
+                        field_utils.parse.datetime(revision.date, null, {
+                            isUTC: true,
+                        })
+                    ),
+                })
+            );
+            // Compare the last revision with the previous one by default
+            this.newId = revisions.length ? revisions[0].id : false;
+            this.oldId = revisions.length > 1 ? revisions[1].id : this.newId;
+        },
+        /**
+         * @override
+         */
+        start: function () {
+            return Promise.all([
+                this._super.apply(this, arguments),
+                this._renderDiff(),
+            ]);
+        },
+
+        // --------------------------------------------------------------------------
+        // Private
+        // --------------------------------------------------------------------------
+
+        /**
+         * Renders the differences between the selected revisions.
+         *
+         * @private
+         */
+        _renderDiff: async function () {
+            if (!this.newId) {
+                return;
+            }
+            const diff = await this._rpc({
+                model: this.model,
+                method: "web_widget_ckeditor_diff_revisions",
+                args: [[this.resId], this.fieldName, this.oldId, this.newId],
+                context: this.context,
+            });
+            this.$(".o_ckeditor_revision_diff").html(diff);
+        },
+
+        // --------------------------------------------------------------------------
+        // Handlers
+        // --------------------------------------------------------------------------
+
+        /**
+         * @private
+         */
+        _onChangeRevision: function () {
+            this.oldId = parseInt(
+                this.$("input[name='old_revision']:checked").val(),
+                10
+            );
+            this.newId = parseInt(
+                this.$("input[name='new_revision']:checked").val(),
+                10
+            );
+            this._renderDiff();
+        },
+        /**
+         * Restores the value of a revision into the editor.
+         *
+         * @private
+         * @param {MouseEvent} ev
+         */
+        _onRestore: async function (ev) {
+            const revisionId = $(ev.currentTarget).closest("tr").data("id");
+            const value = await this._rpc({
+                model: this.model,
+                method: "web_widget_ckeditor_read_revision",
+                args: [[this.resId], this.fieldName, revisionId],
+                context: this.context,
+            });
+            this.onRestore(value);
+            this.close();
+        },
+    });
+
+    return CKEditorRevisionDialog;
+});
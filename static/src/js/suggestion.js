@@ -0,0 +1,454 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.suggestion", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const {addToolbarButton} = require("web_widget_ckeditor.toolbar");
+    const _t = core._t;
+
+    // Text attribute holding the suggestion, as {type, authorId, author, date}
+    const SUGGESTION_ATTRIBUTE = "odooSuggestion";
+    const SUGGESTION_CLASS = "o_ckeditor_suggestion";
+    const SUGGESTION_TAGS = {insertion: "ins", deletion: "del"};
+    const LOCK_ID = "OdooSuggestion";
+    // Marker keeping track of the selection while deletions are suggested
+    const CARET_MARKER = "odooSuggestion:caret";
+
+    // Commands allowed in suggestion mode, whose changes are suggested
+    const SUGGESTION_COMMANDS = [
+        "input",
+        "insertText",
+        "delete",
+        "deleteForward",
+        "enter",
+        "shiftEnter",
+        "undo",
+        "redo",
+        "selectAll",
+        "find",
+        "findNext",
+        "findPrevious",
+    ];
+
+    /**
+     * @param {Object} [suggestion]
+     * @returns {String|undefined} the key of the suggestion, equal for the
+     *   text suggested at once by an author
+     */
+    function getSuggestionKey(suggestion) {
+        return suggestion
+            ? `${suggestion.type}-${suggestion.authorId}-${suggestion.date}`
+            : undefined;
+    }
+
+    /**
+     * Returns the ranges of the suggested text nodes, either the suggestions
+     * at the selection, or all suggestions. A collapsed selection selects the
+     * suggestion around the caret.
+     *
+     * @param {Editor} editor
+     * @param {Boolean} [all]
+     * @returns {Range[]} in the order of the content
+     */
+    function getSuggestionRanges(editor, all) {
+        const model = editor.model;
+        const selection = model.document.selection;
+        const nodes = [];
+        if (all) {
+            for (const root of model.document.getRoots()) {
+                for (const item of model.createRangeIn(root).getItems()) {
+                    if (item.is("$textProxy")) {
+                        nodes.push(item.textNode);
+                    }
+                }
+            }
+        } else if (selection.isCollapsed) {
+            const position = selection.getFirstPosition();
+            const node = [
+                position.textNode,
+                position.nodeBefore,
+                position.nodeAfter,
+            ].find((sibling) => sibling && sibling.getAttribute(SUGGESTION_ATTRIBUTE));
+            const key =
+                node && getSuggestionKey(node.getAttribute(SUGGESTION_ATTRIBUTE));
+            const isSameSuggestion = (sibling) =>
+                sibling &&
+                sibling.is("$text") &&
+                getSuggestionKey(sibling.getAttribute(SUGGESTION_ATTRIBUTE)) === key;
+            if (key) {
+                let start = node;
+                while (isSameSuggestion(start.previousSibling)) {
+                    start = start.previousSibling;
+                }
+                nodes.push(start);
+                while (isSameSuggestion(nodes[nodes.length - 1].nextSibling)) {
+                    nodes.push(nodes[nodes.length - 1].nextSibling);
+                }
+            }
+        } else {
+            for (const range of selection.getRanges()) {
+                for (const item of range.getItems()) {
+                    if (item.is("$textProxy") && !nodes.includes(item.textNode)) {
+                        nodes.push(item.textNode);
+                    }
+                }
+            }
+        }
+        return nodes
+            .filter((node) => node.getAttribute(SUGGESTION_ATTRIBUTE))
+            .map((node) => model.createRangeOn(node));
+    }
+
+    /**
+     * @param {Range} range
+     * @returns {Boolean} whether the range holds suggested text
+     */
+    function hasSuggestionIn(range) {
+        for (const item of range.getItems()) {
+            if (item.is("$textProxy") && item.getAttribute(SUGGESTION_ATTRIBUTE)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Accepts or rejects suggestions: the accepted insertions and rejected
+     * deletions are kept, the others are removed.
+     *
+     * @param {Editor} editor
+     * @param {Range[]} ranges see `getSuggestionRanges`
+     * @param {Boolean} accept
+     */
+    function reviewSuggestions(editor, ranges, accept) {
+        const suggestions = ranges.map((range) =>
+            range.start.nodeAfter.getAttribute(SUGGESTION_ATTRIBUTE)
+        );
+        editor.model.change((writer) => {
+            // Removing the last ranges first keeps the others valid
+            for (let index = ranges.length - 1; index >= 0; index--) {
+                const range = ranges[index];
+                if ((suggestions[index].type === "insertion") === accept) {
+                    writer.removeAttribute(SUGGESTION_ATTRIBUTE, range);
+                } else {
+                    writer.remove(range);
+                }
+            }
+        });
+    }
+
+    /**
+     * Removes the suggestions from an html value, as if they were rejected.
+     *
+     * @param {String} value
+     * @returns {String}
+     */
+    function stripSuggestions(value) {
+        if (!value || !value.includes(SUGGESTION_CLASS)) {
+            return value;
+        }
+        const $value = $("<div/>").html(value);
+        $value.find(`ins.${SUGGESTION_CLASS}`).remove();
+        $value.find(`del.${SUGGESTION_CLASS}`).contents().unwrap();
+        return $value.html();
+    }
+
+    /**
+     * CKEditor plugin suggesting changes instead of applying them, when the
+     * suggestion mode is on. Suggested text is marked with its author and date:
+     *
+     *     <ins class="o_ckeditor_suggestion" data-oe-model="res.users"
+     *          data-oe-id="7" title="Author" datetime="2024-05-01T10:00:00.000Z">
+     *         inserted text</ins>
+     *     <del class="o_ckeditor_suggestion" ...>deleted text</del>
+     *
+     * Only the text is suggested, other changes like formatting are disabled
+     * in suggestion mode.
+     *
+     * Options are read from the `odooSuggestion` editor configuration:
+     * - `author`: the current user, as {id, name}.
+     * - `forced`: the suggestion mode can't be turned off.
+     * - `canReview`: the suggestions can be accepted or rejected.
+     *
+     * Toolbar items: `suggestionMode`, `acceptSuggestion`, `rejectSuggestion`,
+     * `acceptAllSuggestions` and `rejectAllSuggestions`.
+     *
+     * @param {Editor} editor
+     */
+    function OdooSuggestionPlugin(editor) {
+        const options = editor.config.get("odooSuggestion");
+        if (!options) {
+            return;
+        }
+        const model = editor.model;
+        const schema = model.schema;
+        const selection = model.document.selection;
+        let isOn = Boolean(options.forced);
+
+        schema.extend("$text", {allowAttributes: SUGGESTION_ATTRIBUTE});
+        for (const [type, tag] of Object.entries(SUGGESTION_TAGS)) {
+            editor.conversion.for("upcast").elementToAttribute({
+                view: {name: tag, classes: SUGGESTION_CLASS},
+                model: {
+                    key: SUGGESTION_ATTRIBUTE,
+                    value: (viewItem) => ({
+                        type: type,
+                        authorId: parseInt(viewItem.getAttribute("data-oe-id"), 10),
+                        author: viewItem.getAttribute("title") || "",
+                        date: viewItem.getAttribute("datetime") || "",
+                    }),
+                },
+                converterPriority: "high",
+            });
+        }
+        editor.conversion.for("downcast").attributeToElement({
+            model: SUGGESTION_ATTRIBUTE,
+            view: (suggestion, {writer}) =>
+                suggestion &&
+                writer.createAttributeElement(
+                    SUGGESTION_TAGS[suggestion.type],
+                    {
+                        class: SUGGESTION_CLASS,
+                        "data-oe-model": "res.users",
+                        "data-oe-id": suggestion.authorId,
+                        title: suggestion.author,
+                        datetime: suggestion.date,
+                    },
+                    {
+                        // Wrap the other attribute elements, e.g. links
+                        priority: 6,
+                        // Prevent merging different suggestions together
+                        id: getSuggestionKey(suggestion),
+                    }
+                ),
+            converterPriority: "high",
+        });
+
+        /**
+         * Returns the suggestion of the current user, continuing their
+         * suggestion of the same type next to the range, if any.
+         *
+         * @param {Range} range
+         * @param {String} type
+         * @returns {Object}
+         */
+        const getSuggestion = (range, type) => {
+            for (const node of [range.start.nodeBefore, range.end.nodeAfter]) {
+                const suggestion = node && node.getAttribute(SUGGESTION_ATTRIBUTE);
+                if (
+                    suggestion &&
+                    suggestion.type === type &&
+                    suggestion.authorId === options.author.id
+                ) {
+                    return suggestion;
+                }
+            }
+            return {
+                type: type,
+                authorId: options.author.id,
+                author: options.author.name,
+                date: new Date().toISOString(),
+            };
+        };
+        const isOwnInsertion = (suggestion) =>
+            Boolean(suggestion) &&
+            suggestion.type === "insertion" &&
+            suggestion.authorId === options.author.id;
+
+        // Inserted text is suggested
+        model.document.registerPostFixer((writer) => {
+            const batch = writer.batch;
+            if (!isOn || !batch.isUndoable || batch.isUndo) {
+                return false;
+            }
+            const ranges = [];
+            for (const change of model.document.differ.getChanges()) {
+                if (change.type !== "insert") {
+                    continue;
+                }
+                const changeRange = model.createRange(
+                    change.position,
+                    change.position.getShiftedBy(change.length)
+                );
+                for (const item of changeRange.getItems()) {
+                    if (
+                        item.is("$textProxy") &&
+                        !isOwnInsertion(item.getAttribute(SUGGESTION_ATTRIBUTE)) &&
+                        schema.checkAttribute(item.textNode, SUGGESTION_ATTRIBUTE)
+                    ) {
+                        ranges.push(model.createRangeOn(item));
+                    }
+                }
+            }
+            for (const range of ranges) {
+                writer.setAttribute(
+                    SUGGESTION_ATTRIBUTE,
+                    getSuggestion(range, "insertion"),
+                    range
+                );
+            }
+            return ranges.length > 0;
+        });
+
+        // Deleted text is suggested, except the user's own suggested insertions
+        model.on(
+            "deleteContent",
+            (ev, [deleted, deleteOptions]) => {
+                if (!isOn || deleted.isCollapsed) {
+                    return;
+                }
+                ev.stop();
+                // The deleted text, as {range, suggestion}
+                const items = [];
+                for (const range of deleted.getRanges()) {
+                    for (const item of range.getItems()) {
+                        if (
+                            item.is("$textProxy") &&
+                            schema.checkAttribute(item.textNode, SUGGESTION_ATTRIBUTE)
+                        ) {
+                            items.push({
+                                range: model.createRangeOn(item),
+                                suggestion: item.getAttribute(SUGGESTION_ATTRIBUTE),
+                            });
+                        }
+                    }
+                }
+                const forward = (deleteOptions || {}).direction === "forward";
+                model.change((writer) => {
+                    const caret = writer.addMarker(CARET_MARKER, {
+                        range: model.createRange(
+                            forward
+                                ? deleted.getLastPosition()
+                                : deleted.getFirstPosition()
+                        ),
+                        usingOperation: false,
+                    });
+                    // Removing the last ranges first keeps the others valid
+                    for (const {range, suggestion} of items.reverse()) {
+                        if (isOwnInsertion(suggestion)) {
+                            writer.remove(range);
+                        } else if (!suggestion) {
+                            writer.setAttribute(
+                                SUGGESTION_ATTRIBUTE,
+                                getSuggestion(range, "deletion"),
+                                range
+                            );
+                        }
+                    }
+                    const position = caret.getStart();
+                    writer.removeMarker(caret);
+                    if (deleted.is("documentSelection")) {
+                        writer.setSelection(position);
+                    } else {
+                        deleted.setTo(position);
+                    }
+                });
+            },
+            {priority: "high"}
+        );
+
+        // Text typed next to a suggestion isn't part of it
+        selection.on("change:range", () => {
+            if (selection.hasAttribute(SUGGESTION_ATTRIBUTE)) {
+                model.change((writer) =>
+                    writer.removeSelectionAttribute(SUGGESTION_ATTRIBUTE)
+                );
+            }
+        });
+
+        const updateCommands = () => {
+            for (const [name, command] of editor.commands) {
+                if (isOn && !SUGGESTION_COMMANDS.includes(name)) {
+                    command.forceDisabled(LOCK_ID);
+                } else {
+                    command.clearForceDisabled(LOCK_ID);
+                }
+            }
+        };
+        editor.on("ready", updateCommands);
+        addToolbarButton(editor, "suggestionMode", {
+            label: _t("Suggest changes"),
+            isOn: () => isOn,
+            isEnabled: () => !editor.isReadOnly && !options.forced,
+            onExecute: () => {
+                isOn = !isOn;
+                updateCommands();
+            },
+        });
+        if (!options.canReview) {
+            return;
+        }
+        // Whether the content holds suggestions, for the review of all of them.
+        // It's updated from the changes, instead of walking the whole content
+        // on every change. The content is only walked when suggested text may
+        // have been removed.
+        let hasSuggestions = false;
+        model.document.on(
+            "change",
+            () => {
+                let mayHaveRemoved = false;
+                for (const change of model.document.differ.getChanges()) {
+                    if (change.type === "insert") {
+                        hasSuggestions =
+                            hasSuggestions ||
+                            hasSuggestionIn(
+                                model.createRange(
+                                    change.position,
+                                    change.position.getShiftedBy(change.length)
+                                )
+                            );
+                    } else if (change.type === "attribute") {
+                        if (change.attributeKey !== SUGGESTION_ATTRIBUTE) {
+                            continue;
+                        }
+                        hasSuggestions =
+                            hasSuggestions || Boolean(change.attributeNewValue);
+                        mayHaveRemoved = mayHaveRemoved || !change.attributeNewValue;
+                    } else if (
+                        change.length > 1 ||
+                        change.name !== "$text" ||
+                        !change.attributes ||
+                        change.attributes.has(SUGGESTION_ATTRIBUTE)
+                    ) {
+                        // Only the attributes of the first removed node are
+                        // given, and removed elements may hold suggestions
+                        mayHaveRemoved = true;
+                    }
+                }
+                if (hasSuggestions && mayHaveRemoved) {
+                    hasSuggestions = Array.from(model.document.getRoots()).some(
+                        (root) => hasSuggestionIn(model.createRangeIn(root))
+                    );
+                }
+            },
+            {priority: "high"}
+        );
+        const reviewButtons = {
+            acceptSuggestion: [_t("Accept suggestion"), false, true],
+            rejectSuggestion: [_t("Reject suggestion"), false, false],
+            acceptAllSuggestions: [_t("Accept all suggestions"), true, true],
+            rejectAllSuggestions: [_t("Reject all suggestions"), true, false],
+        };
+        for (const [name, [label, all, accept]] of Object.entries(reviewButtons)) {
+            addToolbarButton(editor, name, {
+                label: label,
+                isEnabled: () =>
+                    !editor.isReadOnly &&
+                    (all ? hasSuggestions : getSuggestionRanges(editor).length > 0),
+                onExecute: () =>
+                    reviewSuggestions(editor, getSuggestionRanges(editor, all), accept),
+            });
+        }
+    }
+
+    return {
+        getSuggestionRanges,
+        reviewSuggestions,
+        stripSuggestions,
+        OdooSuggestionPlugin,
+    };
+});
@@ -0,0 +1,72 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.template", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const rpc = require("web.rpc");
+    const {
+        addToolbarButton,
+        insertHtml,
+        openToolbarMenu,
+    } = require("web_widget_ckeditor.toolbar");
+    const _t = core._t;
+
+    // Templates available, by model
+    const templatesPromises = {};
+
+    /**
+     * Returns the templates available for a model, i.e. the ones of the model
+     * and the generic ones, restricted to the user's groups.
+     *
+     * @param {String} model
+     * @returns {Promise<Object[]>} list of {id, name}
+     */
+    function getTemplates(model) {
+        if (!templatesPromises[model]) {
+            templatesPromises[model] = rpc.query({
+                model: "web.widget.ckeditor.template",
+                method: "get_web_widget_ckeditor_templates",
+                args: [model],
+            });
+        }
+        return templatesPromises[model];
+    }
+
+    /**
+     * CKEditor plugin adding the `insertTemplate` toolbar dropdown, inserting
+     * the selected web.widget.ckeditor.template at the cursor.
+     * Options are read from the `odooTemplate` editor configuration.
+     *
+     * @param {Editor} editor
+     */
+    function OdooTemplatePlugin(editor) {
+        addToolbarButton(editor, "insertTemplate", {
+            label: _t("Templates"),
+            onExecute: async (button) => {
+                const options = editor.config.get("odooTemplate") || {};
+                const templates = await getTemplates(options.model || false);
+                const items = templates.map((template) => ({
+                    label: template.name,
+                    onSelect: async () => {
+                        const [{body}] = await rpc.query({
+                            model: "web.widget.ckeditor.template",
+                            method: "read",
+                            args: [[template.id], ["body"]],
+                        });
+                        insertHtml(editor, body || "");
+                    },
+                }));
+                openToolbarMenu(button, items, _t("No templates available"));
+            },
+        });
+    }
+
+    return {
+        getTemplates,
+        OdooTemplatePlugin,
+    };
+});
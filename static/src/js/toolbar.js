@@ -0,0 +1,144 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.toolbar", function (require) {
+    "use strict";
+
+    // Built-in toolbar buttons, whose class is reused for custom buttons.
+    // Undo and SelectAll are part of the Essentials plugins.
+    const BUTTON_COMPONENTS = ["undo", "selectAll", "horizontalLine"];
+
+    /**
+     * Returns CKEditor's ButtonView class.
+     * The build doesn't export its UI library, so the class is taken from a
+     * built-in button. Buttons are only registered once the plugins are
+     * initialized, so this can't be called from a plugin's constructor.
+     *
+     * @param {Editor} editor
+     * @returns {Class|undefined} ButtonView
+     */
+    function getButtonViewClass(editor) {
+        const factory = editor.ui.componentFactory;
+        const name = BUTTON_COMPONENTS.find((component) => factory.has(component));
+        return name && factory.create(name).constructor;
+    }
+
+    /**
+     * Registers a toolbar button, usable as `name` in the toolbar items.
+     *
+     * @param {Editor} editor
+     * @param {String} name
+     * @param {Object} options
+     * @param {String} options.label
+     * @param {String} [options.icon] svg icon, the label is displayed without it
+     * @param {Function} options.onExecute called with the button view
+     * @param {Function} [options.isEnabled] returns whether the button is enabled,
+     *   defaults to the editor not being read-only
+     * @param {Function} [options.isOn] returns whether the button is toggled on,
+     *   for toggle buttons
+     */
+    function addToolbarButton(editor, name, options) {
+        editor.ui.componentFactory.add(name, (locale) => {
+            const ButtonView = getButtonViewClass(editor);
+            const button = new ButtonView(locale);
+            button.set({
+                label: options.label,
+                icon: options.icon,
+                withText: !options.icon,
+                tooltip: Boolean(options.icon),
+                isToggleable: Boolean(options.isOn),
+            });
+            const updateState = () => {
+                button.isEnabled = options.isEnabled
+                    ? options.isEnabled()
+                    : !editor.isReadOnly;
+                if (options.isOn) {
+                    button.isOn = options.isOn();
+                }
+            };
+            updateState();
+            button.listenTo(editor, "change:isReadOnly", updateState);
+            button.listenTo(editor.model.document, "change", updateState);
+            button.on("execute", async () => {
+                await options.onExecute(button);
+                updateState();
+            });
+            return button;
+        });
+    }
+
+    /**
+     * Displays a menu below a toolbar button. The menu is closed when an item
+     * is selected, when clicking elsewhere, or when clicking the button again.
+     *
+     * @param {ButtonView} button
+     * @param {Object[]} items list of {label, onSelect}
+     * @param {String} [emptyLabel] displayed when there are no items
+     */
+    function openToolbarMenu(button, items, emptyLabel) {
+        if (button.closeMenu) {
+            return button.closeMenu();
+        }
+        const $menu = $("<div/>", {
+            class: "dropdown-menu show o_ckeditor_toolbar_menu",
+        });
+        if (!items.length) {
+            $("<span/>", {class: "dropdown-item-text text-muted"})
+                .text(emptyLabel || "")
+                .appendTo($menu);
+        }
+        for (const item of items) {
+            $("<a/>", {href: "#", class: "dropdown-item"})
+                .text(item.label)
+                .on("click", (ev) => {
+                    ev.preventDefault();
+                    close();
+                    item.onSelect();
+                })
+                .appendTo($menu);
+        }
+        const rect = button.element.getBoundingClientRect();
+        $menu.css({
+            position: "fixed",
+            top: rect.bottom,
+            left: rect.left,
+            "z-index": 1060,
+        });
+        $menu.appendTo(document.body);
+        const onClickOutside = (ev) => {
+            if (!$menu[0].contains(ev.target) && !button.element.contains(ev.target)) {
+                close();
+            }
+        };
+        function close() {
+            document.removeEventListener("mousedown", onClickOutside, true);
+            $menu.remove();
+            button.closeMenu = undefined;
+        }
+        document.addEventListener("mousedown", onClickOutside, true);
+        button.closeMenu = close;
+    }
+
+    /**
+     * Inserts html content at the selection. The html data processor is used
+     * even if the editor's data uses another format, e.g. Markdown.
+     *
+     * @param {Editor} editor
+     * @param {String} html
+     */
+    function insertHtml(editor, html) {
+        const viewFragment = editor.data.htmlProcessor.toView(html);
+        const modelFragment = editor.data.toModel(viewFragment);
+        editor.model.insertContent(modelFragment);
+        editor.editing.view.focus();
+    }
+
+    return {
+        addToolbarButton,
+        getButtonViewClass,
+        insertHtml,
+        openToolbarMenu,
+    };
+});
@@ -0,0 +1,172 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.TranslationDialog", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const Dialog = require("web.Dialog");
+    const BasicController = require("web.BasicController");
+    const {loadCKEditor} = require("web_widget_ckeditor.loader");
+    const _t = core._t;
+
+    /**
+     * Dialog to translate an html field side by side, with one CKEditor
+     * instance per installed language.
+     */
+    const CKEditorTranslationDialog = Dialog.extend({
+        template: "web_widget_ckeditor.TranslationDialog",
+
+        /**
+         * @override
+         * @param {Widget} parent
+         * @param {Object} options
+         * @param {String} options.model
+         * @param {Number} options.resId
+         * @param {String} options.fieldName
+         * @param {String} options.fieldLabel
+         * @param {Object} options.context
+         * @param {Function} options.getCKEditorConfig returns the editor
+         *   configuration for a given language
+         */
+        init: function (parent, options) {
+            this._super(parent, {
+                title: _.str.sprintf(_t("Translate: %s"), options.fieldLabel),
+                size: "extra-large",
+                buttons: [
+                    {
+                        text: _t("Save"),
+                        classes: "btn-primary",
+                        click: this._onSave.bind(this),
+                    },
+                    {
+                        text: _t("Discard"),
+                        close: true,
+                    },
+                ],
+            });
+            this.model = options.model;
+            this.resId = options.resId;
+            this.fieldName = options.fieldName;
+            this.context = options.context;
+            this.getCKEditorConfig = options.getCKEditorConfig;
+            this.editors = {};
+        },
+        /**
+         * @override
+         */
+        willStart: async function () {
+            const [translations] = await Promise.all([
+                this._rpc({
+                    model: this.model,
+                    method: "web_widget_ckeditor_read_translations",
+                    args: [[this.resId], this.fieldName],
+                    context: this.context,
+                }),
+                this._super.apply(this, arguments),
+                loadCKEditor(),
+            ]);
+            this.source = translations.source;
+            this.languages = translations.languages;
+        },
+        /**
+         * @override
+         */
+        start: async function () {
+            await this._super.apply(this, arguments);
+            await Promise.all(this.languages.map((lang) => this._createEditor(lang)));
+        },
+        /**
+         * @override
+         */
+        destroy: function () {
+            _.invoke(this.editors, "destroy");
+            this.editors = {};
+            return this._super.apply(this, arguments);
+        },
+
+        // --------------------------------------------------------------------------
+        // Private
+        // --------------------------------------------------------------------------
+
+        /**
+         * @private
+         * @param {Object} lang
+         */
+        _createEditor: async function (lang) {
+            const editorConfig = await this.getCKEditorConfig(lang.code);
+            const $target = this.$(
+                `.o_ckeditor_translation_column[data-lang="${lang.code}"] textarea`
+            );
+            $target.val(lang.value || "");
+            this.editors[lang.code] = await window.ClassicEditor.create(
+                $target.get(0),
+                editorConfig
+            );
+        },
+
+        // --------------------------------------------------------------------------
+        // Handler
+        // --------------------------------------------------------------------------
+
+        /**
+         * Saves the modified translations, all at once.
+         *
+         * @private
+         */
+        _onSave: async function () {
+            const values = {};
+            for (const lang of this.languages) {
+                const value = this.editors[lang.code].getData();
+                if (value !== (lang.value || "")) {
+                    values[lang.code] = value;
+                }
+            }
+            if (!_.isEmpty(values)) {
+                await this._rpc({
+                    model: this.model,
+                    method: "web_widget_ckeditor_write_translations",
+                    args: [[this.resId], this.fieldName, values],
+                    context: this.context,
+                });
+                this.trigger_up("reload");
+            }
+            this.close();
+        },
+    });
+
+    BasicController.include({
+        /**
+         * Opens the CKEditor translation dialog, when the translation is
+         * requested by a CKEditor field.
+         *
+         * @override
+         */
+        _onTranslate: async function (ev) {
+            const ckeditor = ev.data.ckeditor;
+            if (!ckeditor) {
+                return this._super.apply(this, arguments);
+            }
+            ev.stopPropagation();
+            if (this.model.isNew(ev.data.id)) {
+                await this._saveRecord(ev.data.id, {
+                    stayInEdit: true,
+                    reload: false,
+                });
+            }
+            const record = this.model.get(ev.data.id, {raw: true});
+            return new CKEditorTranslationDialog(this, {
+                model: record.model,
+                resId: record.res_id,
+                fieldName: ev.data.fieldName,
+                fieldLabel: ckeditor.fieldLabel,
+                context: record.getContext(),
+                getCKEditorConfig: ckeditor.getConfig,
+            }).open();
+        },
+    });
+
+    return CKEditorTranslationDialog;
+});
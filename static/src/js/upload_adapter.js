@@ -0,0 +1,196 @@
+/*
+    Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+    License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+*/
+
+odoo.define("web_widget_ckeditor.upload_adapter", function (require) {
+    "use strict";
+
+    const core = require("web.core");
+    const _t = core._t;
+
+    const UPLOAD_URL = "/web_widget_ckeditor/upload_image";
+    // Images accepted by the server: svg images are refused, as they can hold
+    // scripts
+    const UPLOAD_TYPES = ["jpeg", "png", "gif", "bmp", "webp", "tiff"];
+    // Images that can be resized, unlike e.g. animated gifs
+    const RESIZABLE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+    // Lossy formats are compressed even when they aren't resized
+    const LOSSY_TYPES = ["image/jpeg", "image/webp"];
+    const IMAGE_QUALITY = 0.85;
+
+    /**
+     * Resizes an image to fit the maximum size, and compresses it.
+     * The original file is kept when it can't be reduced.
+     *
+     * @param {File} file
+     * @param {Object} [maxSize] {width, height} in pixels
+     * @returns {Promise<File>}
+     */
+    function resizeImage(file, maxSize) {
+        if (!maxSize || !RESIZABLE_TYPES.includes(file.type)) {
+            return Promise.resolve(file);
+        }
+        return new Promise((resolve) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                resolve(file);
+            };
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                const ratio = Math.min(
+                    1,
+                    maxSize.width / image.naturalWidth,
+                    maxSize.height / image.naturalHeight
+                );
+                if (ratio === 1 && !LOSSY_TYPES.includes(file.type)) {
+                    return resolve(file);
+                }
+                const canvas = document.createElement("canvas");
+                canvas.width = Math.max(1, Math.round(image.naturalWidth * ratio));
+                canvas.height = Math.max(1, Math.round(image.naturalHeight * ratio));
+                canvas
+                    .getContext("2d")
+                    .drawImage(image, 0, 0, canvas.width, canvas.height);
+                canvas.toBlob(
+                    (blob) => {
+                        // Compressing an already compressed image may enlarge it
+                        if (!blob || (ratio === 1 && blob.size >= file.size)) {
+                            return resolve(file);
+                        }
+                        resolve(new File([blob], file.name, {type: blob.type}));
+                    },
+                    file.type,
+                    IMAGE_QUALITY
+                );
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * CKEditor upload adapter storing the images as ir.attachment.
+     *
+     * See for details:
+     * https://ckeditor.com/docs/ckeditor5/latest/framework/deep-dive/upload-adapter.html
+     */
+    class OdooUploadAdapter {
+        /**
+         * @param {FileLoader} loader
+         * @param {Object} options
+         * @param {String} [options.model] the model of the record to link images to
+         * @param {Number} [options.resId] the id of the record to link images to
+         * @param {Object} [options.maxImageSize] {width, height} in pixels,
+         *   images are resized to fit it before they are uploaded
+         */
+        constructor(loader, options) {
+            this.loader = loader;
+            this.options = options || {};
+        }
+        /**
+         * Starts the upload process.
+         *
+         * @returns {Promise<Object>} resolved with the uploaded image urls
+         */
+        upload() {
+            return this.loader.file
+                .then((file) => resizeImage(file, this.options.maxImageSize))
+                .then(
+                    (file) =>
+                        new Promise((resolve, reject) => {
+                            this._initRequest();
+                            this._initListeners(resolve, reject, file);
+                            this._sendRequest(file);
+                        })
+                );
+        }
+        /**
+         * Aborts the upload process.
+         */
+        abort() {
+            if (this.xhr) {
+                this.xhr.abort();
+            }
+        }
+        /**
+         * @private
+         */
+        _initRequest() {
+            this.xhr = new XMLHttpRequest();
+            this.xhr.open("POST", UPLOAD_URL, true);
+            this.xhr.responseType = "json";
+        }
+        /**
+         * @private
+         * @param {Function} resolve
+         * @param {Function} reject
+         * @param {File} file
+         */
+        _initListeners(resolve, reject, file) {
+            const xhr = this.xhr;
+            const loader = this.loader;
+            const genericErrorText = _.str.sprintf(
+                _t("Couldn't upload file: %s."),
+                file.name
+            );
+            xhr.addEventListener("error", () => reject(genericErrorText));
+            xhr.addEventListener("abort", () => reject());
+            xhr.addEventListener("load", () => {
+                const response = xhr.response;
+                if (!response || response.error) {
+                    return reject(
+                        response && response.error && response.error.message
+                            ? response.error.message
+                            : genericErrorText
+                    );
+                }
+                resolve({default: response.url});
+            });
+            if (xhr.upload) {
+                xhr.upload.addEventListener("progress", (evt) => {
+                    if (evt.lengthComputable) {
+                        loader.uploadTotal = evt.total;
+                        loader.uploaded = evt.loaded;
+                    }
+                });
+            }
+        }
+        /**
+         * @private
+         * @param {File} file
+         */
+        _sendRequest(file) {
+            const data = new FormData();
+            data.append("upload", file);
+            data.append("csrf_token", core.csrf_token);
+            if (this.options.model) {
+                data.append("res_model", this.options.model);
+                data.append("res_id", this.options.resId || 0);
+            }
+            this.xhr.send(data);
+        }
+    }
+
+    /**
+     * CKEditor plugin registering the OdooUploadAdapter.
+     * Options are read from the `odooUpload` editor configuration.
+     *
+     * @param {Editor} editor
+     */
+    function OdooUploadAdapterPlugin(editor) {
+        if (!editor.plugins.has("FileRepository")) {
+            return;
+        }
+        editor.plugins.get("FileRepository").createUploadAdapter = (loader) =>
+            new OdooUploadAdapter(loader, editor.config.get("odooUpload"));
+    }
+
+    return {
+        UPLOAD_TYPES,
+        resizeImage,
+        OdooUploadAdapter,
+        OdooUploadAdapterPlugin,
+    };
+});
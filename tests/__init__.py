@@ -0,0 +1,6 @@
+from . import test_import
+from . import test_merge
+from . import test_revision
+from . import test_restricted_editing
+from . import test_html_support
+from . import test_image
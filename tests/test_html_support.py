@@ -0,0 +1,66 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+import re
+
+from odoo.tests.common import TransactionCase
+
+
+class TestWebWidgetCKEditorHtmlSupport(TransactionCase):
+    def setUp(self):
+        super().setUp()
+        # Sanitized html field
+        self.Template = self.env["web.widget.ckeditor.template"]
+        # Html field that isn't sanitized
+        self.Revision = self.env["web.widget.ckeditor.revision"]
+
+    def test_html_support(self):
+        support = self.Template.web_widget_ckeditor_get_html_support("body")
+        allow = support["allow"][0]
+        tags = re.compile(allow["name"]["regexp"])
+        self.assertTrue(tags.match("p"))
+        self.assertTrue(tags.match("figure"))
+        self.assertFalse(tags.match("form"))
+        self.assertFalse(tags.match("custom-element"))
+        attributes = re.compile(allow["attributes"][0]["key"]["regexp"])
+        self.assertTrue(attributes.match("href"))
+        self.assertFalse(attributes.match("onclick"))
+        # Classes and styles have their own rules
+        self.assertFalse(attributes.match("class"))
+        self.assertIs(allow["classes"], True)
+        disallowed = re.compile(support["disallow"][0]["name"]["regexp"])
+        self.assertTrue(disallowed.match("script"))
+        self.assertTrue(disallowed.match("iframe"))
+
+    def test_html_support_not_sanitized(self):
+        support = self.Revision.web_widget_ckeditor_get_html_support("value")
+        self.assertEqual(support["allow"][0]["name"], {"regexp": ".*"})
+        self.assertIs(support["allow"][0]["attributes"], True)
+        self.assertEqual(support["disallow"], [])
+
+    def test_sanitized_markup(self):
+        markup = self.Template.web_widget_ckeditor_get_sanitized_markup(
+            "body",
+            '<p class="lead" onclick="alert(1)">Text</p>'
+            "<script>alert(2)</script>"
+            "<form><input></form>",
+        )
+        self.assertIn("<p onclick>", markup)
+        self.assertIn("<script>", markup)
+        self.assertIn("<form>", markup)
+        self.assertNotIn('<p class="lead">', markup)
+        self.assertEqual(markup, sorted(markup))
+
+    def test_sanitized_markup_kept(self):
+        get_sanitized_markup = self.Template.web_widget_ckeditor_get_sanitized_markup
+        self.assertEqual(
+            get_sanitized_markup("body", '<p class="lead"><a href="/">Text</a></p>'),
+            [],
+        )
+        self.assertEqual(get_sanitized_markup("body", False), [])
+        self.assertEqual(
+            self.Revision.web_widget_ckeditor_get_sanitized_markup(
+                "value", "<script>alert(1)</script>"
+            ),
+            [],
+        )
@@ -0,0 +1,67 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+from odoo.tests.common import TransactionCase
+
+PNG_IMAGE = (
+    "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR4nGNgYGD4DwABBAEAwS2O"
+    "UAAAAABJRU5ErkJggg=="
+)
+
+
+class TestWebWidgetCKEditorImage(TransactionCase):
+    def setUp(self):
+        super().setUp()
+        Users = self.env["res.users"].with_context(no_reset_password=True)
+        groups = [(6, 0, self.env.ref("base.group_system").ids)]
+        self.user = Users.create(
+            {"name": "Author", "login": "ckeditor_author", "groups_id": groups}
+        )
+        self.other_user = Users.create(
+            {"name": "Other", "login": "ckeditor_other", "groups_id": groups}
+        )
+        self.Template = self.env["web.widget.ckeditor.template"]
+
+    def _upload(self, user, res_model="web.widget.ckeditor.template"):
+        """Creates an image like the upload controller, before the record
+        is created"""
+        return (
+            self.env["ir.attachment"]
+            .with_user(user)
+            .sudo()
+            .create(
+                {
+                    "name": "image.png",
+                    "datas": PNG_IMAGE,
+                    "res_model": res_model,
+                    "res_id": 0,
+                }
+            )
+        )
+
+    def _create(self, attachments):
+        body = "".join(
+            '<p><img src="/web/image/%s"></p>' % attachment.id
+            for attachment in attachments
+        )
+        return self.Template.with_user(self.user).create({"name": "Test", "body": body})
+
+    def test_link_images(self):
+        attachment = self._upload(self.user)
+        template = self._create(attachment)
+        self.assertEqual(attachment.res_model, template._name)
+        self.assertEqual(attachment.res_id, template.id)
+
+    def test_link_images_of_user(self):
+        """Only the images uploaded by the user for the model are linked"""
+        other_user_attachment = self._upload(self.other_user)
+        other_model_attachment = self._upload(self.user, res_model="res.partner")
+        self._create(other_user_attachment | other_model_attachment)
+        self.assertEqual(other_user_attachment.res_id, 0)
+        self.assertEqual(other_model_attachment.res_id, 0)
+
+    def test_link_images_once(self):
+        attachment = self._upload(self.user)
+        template = self._create(attachment)
+        self._create(attachment)
+        self.assertEqual(attachment.res_id, template.id)
@@ -0,0 +1,185 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+import base64
+import io
+import zipfile
+
+from odoo.exceptions import UserError
+from odoo.tests.common import TransactionCase
+
+DOCX_NAMESPACES = (
+    'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" '
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" '
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"'
+)
+
+DOCX_DOCUMENT = (
+    """<w:document %s><w:body>
+    <w:p>
+        <w:pPr><w:pStyle w:val="Heading1"/></w:pPr>
+        <w:r><w:t>Title</w:t></w:r>
+    </w:p>
+    <w:p>
+        <w:r><w:rPr><w:b/></w:rPr><w:t>Bold</w:t></w:r>
+        <w:r><w:t xml:space="preserve"> text</w:t></w:r>
+    </w:p>
+    <w:p>
+        <w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr>
+        <w:r><w:t>One</w:t></w:r>
+    </w:p>
+    <w:p>
+        <w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr>
+        <w:r><w:t>Two</w:t></w:r>
+    </w:p>
+    <w:tbl><w:tr><w:tc><w:p><w:r><w:t>Cell</w:t></w:r></w:p></w:tc></w:tr></w:tbl>
+    <w:p><w:r><w:drawing><a:blip r:embed="rId1"/></w:drawing></w:r></w:p>
+</w:body></w:document>"""
+    % DOCX_NAMESPACES
+)
+
+DOCX_STYLES = (
+    """<w:styles %s>
+    <w:style w:styleId="Heading1"><w:name w:val="heading 1"/></w:style>
+</w:styles>"""
+    % DOCX_NAMESPACES
+)
+
+DOCX_NUMBERING = (
+    """<w:numbering %s>
+    <w:abstractNum w:abstractNumId="0">
+        <w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl>
+    </w:abstractNum>
+    <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>"""
+    % DOCX_NAMESPACES
+)
+
+DOCX_RELATIONSHIPS = """<Relationships
+    xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+    <Relationship Id="rId1" Target="media/image1.png"/>
+</Relationships>"""
+
+ODT_NAMESPACES = (
+    'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" '
+    'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" '
+    'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" '
+    'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"'
+)
+
+ODT_CONTENT = (
+    """<office:document-content %s>
+<office:automatic-styles>
+    <style:style style:name="T1">
+        <style:text-properties fo:font-style="italic"/>
+    </style:style>
+    <text:list-style style:name="L1">
+        <text:list-level-style-number text:level="1"/>
+    </text:list-style>
+</office:automatic-styles>
+<office:body><office:text>
+    <text:h text:outline-level="2">Title</text:h>
+    <text:p>Some <text:span text:style-name="T1">italic</text:span> text</text:p>
+    <text:list text:style-name="L1">
+        <text:list-item><text:p>One</text:p></text:list-item>
+        <text:list-item><text:p>Two</text:p></text:list-item>
+    </text:list>
+</office:text></office:body>
+</office:document-content>"""
+    % ODT_NAMESPACES
+)
+
+PNG_IMAGE = base64.b64decode(
+    "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR4nGNgYGD4DwABBAEAwS2O"
+    "UAAAAABJRU5ErkJggg=="
+)
+
+
+def _zip(files):
+    """Returns a zip archive of the given files, by path"""
+    stream = io.BytesIO()
+    with zipfile.ZipFile(stream, "w") as archive:
+        for path, content in files.items():
+            archive.writestr(path, content)
+    return stream.getvalue()
+
+
+class TestWebWidgetCKEditorImport(TransactionCase):
+    def setUp(self):
+        super().setUp()
+        self.Import = self.env["web.widget.ckeditor.import"]
+        self.images = []
+
+    def _store_image(self, name, data):
+        self.images.append((name, data))
+        return "/web/image/%s" % len(self.images)
+
+    def _import(self, filename, data):
+        return self.Import._import_file(filename, data, self._store_image)
+
+    def test_import_docx(self):
+        data = _zip(
+            {
+                "word/document.xml": DOCX_DOCUMENT,
+                "word/styles.xml": DOCX_STYLES,
+                "word/numbering.xml": DOCX_NUMBERING,
+                "word/_rels/document.xml.rels": DOCX_RELATIONSHIPS,
+                "word/media/image1.png": PNG_IMAGE,
+            }
+        )
+        value = self._import("document.docx", data)
+        self.assertIn("<h1>Title</h1>", value)
+        self.assertIn("<p><strong>Bold</strong> text</p>", value)
+        self.assertIn("<ol><li>One</li><li>Two</li></ol>", value)
+        self.assertIn("<td><p>Cell</p></td>", value)
+        self.assertIn('<img src="/web/image/1">', value)
+        self.assertEqual(self.images, [("image1.png", PNG_IMAGE)])
+
+    def test_import_docx_without_body(self):
+        data = _zip({"word/document.xml": "<w:document %s/>" % DOCX_NAMESPACES})
+        with self.assertRaisesRegex(UserError, "no text"):
+            self._import("document.docx", data)
+        with self.assertRaisesRegex(UserError, "no text"):
+            self._import("document.docx", _zip({"word/styles.xml": DOCX_STYLES}))
+
+    def test_import_odt(self):
+        value = self._import("document.odt", _zip({"content.xml": ODT_CONTENT}))
+        self.assertIn("<h2>Title</h2>", value)
+        self.assertIn("<p>Some <em>italic</em> text</p>", value)
+        self.assertIn("<ol><li>One</li><li>Two</li></ol>", value)
+
+    def test_import_odt_without_body(self):
+        data = _zip({"content.xml": "<office:document-content %s/>" % ODT_NAMESPACES})
+        with self.assertRaisesRegex(UserError, "no text"):
+            self._import("document.odt", data)
+        with self.assertRaisesRegex(UserError, "no text"):
+            self._import("document.odt", _zip({"styles.xml": "<styles/>"}))
+
+    def test_import_invalid_file(self):
+        with self.assertRaisesRegex(UserError, "can't be read"):
+            self._import("document.docx", b"not a zip file")
+        data = _zip({"word/document.xml": "<w:document"})
+        with self.assertRaisesRegex(UserError, "can't be read"):
+            self._import("document.docx", data)
+
+    def test_import_unknown_extension(self):
+        with self.assertRaisesRegex(UserError, "can't be imported"):
+            self._import("document.pdf", b"%PDF-1.4")
+        self.assertEqual(self.images, [])
+
+    def test_import_html(self):
+        data = (
+            "<html><head><title>Ignored</title></head><body>"
+            "<p>Text</p>"
+            '<img alt="logo" src="data:image/png;base64,%s">'
+            '<img src="data:image/png;base64,!">'
+            "<script>alert('xss')</script>"
+            "</body></html>" % base64.b64encode(PNG_IMAGE).decode()
+        ).encode()
+        value = self._import("page.html", data)
+        self.assertIn("<p>Text</p>", value)
+        self.assertIn('<img alt="logo" src="/web/image/1">', value)
+        self.assertNotIn("Ignored", value)
+        self.assertNotIn("data:", value)
+        self.assertNotIn("script", value)
+        self.assertEqual(self.images, [("logo", PNG_IMAGE)])
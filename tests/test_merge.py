@@ -0,0 +1,169 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+from odoo.tests.common import TransactionCase
+
+from odoo.addons.web_widget_ckeditor.models.web_widget_ckeditor_revision import (
+    merge_blocks,
+)
+
+BASE = ["<p>One</p>", "<p>Two</p>", "<p>Three</p>"]
+
+
+def _chunk(value, origin):
+    return {"value": value, "origin": origin, "conflict": False}
+
+
+def _conflict(base, mine, theirs):
+    return {"base": base, "mine": mine, "theirs": theirs, "conflict": True}
+
+
+class TestWebWidgetCKEditorMerge(TransactionCase):
+    def test_merge_unchanged(self):
+        self.assertEqual(
+            merge_blocks(BASE, BASE, BASE),
+            [_chunk(block, "base") for block in BASE],
+        )
+
+    def test_merge_changed_on_one_side(self):
+        mine = ["<p>One</p>", "<p>2</p>", "<p>Three</p>"]
+        expected = [
+            _chunk("<p>One</p>", "base"),
+            _chunk("<p>2</p>", "mine"),
+            _chunk("<p>Three</p>", "base"),
+        ]
+        self.assertEqual(merge_blocks(BASE, mine, BASE), expected)
+        expected[1]["origin"] = "theirs"
+        self.assertEqual(merge_blocks(BASE, BASE, mine), expected)
+
+    def test_merge_changed_on_both_sides(self):
+        mine = ["<p>1</p>", "<p>Two</p>", "<p>Three</p>"]
+        theirs = ["<p>One</p>", "<p>Two</p>", "<p>3</p>"]
+        self.assertEqual(
+            merge_blocks(BASE, mine, theirs),
+            [
+                _chunk("<p>1</p>", "mine"),
+                _chunk("<p>Two</p>", "base"),
+                _chunk("<p>3</p>", "theirs"),
+            ],
+        )
+
+    def test_merge_same_change(self):
+        mine = ["<p>One</p>", "<p>2</p>", "<p>Three</p>"]
+        self.assertEqual(
+            merge_blocks(BASE, mine, list(mine)),
+            [
+                _chunk("<p>One</p>", "base"),
+                _chunk("<p>2</p>", "mine"),
+                _chunk("<p>Three</p>", "base"),
+            ],
+        )
+
+    def test_merge_conflict(self):
+        mine = ["<p>One</p>", "<p>2</p>", "<p>Three</p>"]
+        theirs = ["<p>One</p>", "<p>Deux</p>", "<p>Three</p>"]
+        self.assertEqual(
+            merge_blocks(BASE, mine, theirs),
+            [
+                _chunk("<p>One</p>", "base"),
+                _conflict("<p>Two</p>", "<p>2</p>", "<p>Deux</p>"),
+                _chunk("<p>Three</p>", "base"),
+            ],
+        )
+
+    def test_merge_adjacent_changes(self):
+        """Changes of consecutive blocks can't be merged apart"""
+        mine = ["<p>One</p>", "<p>2</p>", "<p>Three</p>"]
+        theirs = ["<p>One</p>", "<p>Two</p>", "<p>3</p>"]
+        self.assertEqual(
+            merge_blocks(BASE, mine, theirs),
+            [
+                _chunk("<p>One</p>", "base"),
+                _conflict(
+                    "<p>Two</p><p>Three</p>",
+                    "<p>2</p><p>Three</p>",
+                    "<p>Two</p><p>3</p>",
+                ),
+            ],
+        )
+
+    def test_merge_inserts(self):
+        mine = ["<p>One</p>", "<p>Mine</p>", "<p>Two</p>", "<p>Three</p>"]
+        theirs = ["<p>One</p>", "<p>Two</p>", "<p>Theirs</p>", "<p>Three</p>"]
+        self.assertEqual(
+            merge_blocks(BASE, mine, theirs),
+            [
+                _chunk("<p>One</p>", "base"),
+                _chunk("<p>Mine</p>", "mine"),
+                _chunk("<p>Two</p>", "base"),
+                _chunk("<p>Theirs</p>", "theirs"),
+                _chunk("<p>Three</p>", "base"),
+            ],
+        )
+
+    def test_merge_inserts_at_same_position(self):
+        mine = ["<p>One</p>", "<p>Mine</p>", "<p>Two</p>", "<p>Three</p>"]
+        theirs = ["<p>One</p>", "<p>Theirs</p>", "<p>Two</p>", "<p>Three</p>"]
+        self.assertEqual(
+            merge_blocks(BASE, mine, theirs),
+            [
+                _chunk("<p>One</p>", "base"),
+                _conflict("", "<p>Mine</p>", "<p>Theirs</p>"),
+                _chunk("<p>Two</p>", "base"),
+                _chunk("<p>Three</p>", "base"),
+            ],
+        )
+
+    def test_merge_deletions(self):
+        mine = ["<p>One</p>", "<p>Three</p>"]
+        self.assertEqual(
+            merge_blocks(BASE, mine, BASE),
+            [_chunk("<p>One</p>", "base"), _chunk("<p>Three</p>", "base")],
+        )
+        self.assertEqual(
+            merge_blocks(BASE, BASE, mine),
+            [_chunk("<p>One</p>", "base"), _chunk("<p>Three</p>", "base")],
+        )
+        self.assertEqual(
+            merge_blocks(BASE, mine, list(mine)),
+            [_chunk("<p>One</p>", "base"), _chunk("<p>Three</p>", "base")],
+        )
+
+    def test_merge_deletion_against_edit(self):
+        mine = ["<p>One</p>", "<p>Three</p>"]
+        theirs = ["<p>One</p>", "<p>2</p>", "<p>Three</p>"]
+        conflict = _conflict("<p>Two</p>", "", "<p>2</p>")
+        self.assertEqual(
+            merge_blocks(BASE, mine, theirs),
+            [_chunk("<p>One</p>", "base"), conflict, _chunk("<p>Three</p>", "base")],
+        )
+        conflict.update(mine="<p>2</p>", theirs="")
+        self.assertEqual(
+            merge_blocks(BASE, theirs, mine),
+            [_chunk("<p>One</p>", "base"), conflict, _chunk("<p>Three</p>", "base")],
+        )
+
+    def test_merge_record(self):
+        base = "".join(BASE)
+        template = self.env["web.widget.ckeditor.template"].create(
+            {"name": "Test", "body": base}
+        )
+        self.assertEqual(
+            template.web_widget_ckeditor_merge("body", base, base),
+            {"changed": False},
+        )
+        template.body = base + "<p>Four</p>"
+        res = template.web_widget_ckeditor_merge(
+            "body", base, "<p>1</p><p>Two</p><p>Three</p>"
+        )
+        self.assertTrue(res["changed"])
+        self.assertEqual(res["theirs"], template.body)
+        self.assertEqual(
+            res["chunks"],
+            [
+                _chunk("<p>1</p>", "mine"),
+                _chunk("<p>Two</p>", "base"),
+                _chunk("<p>Three</p>", "base"),
+                _chunk("<p>Four</p>", "theirs"),
+            ],
+        )
@@ -0,0 +1,62 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+from odoo.exceptions import AccessError
+from odoo.tests.common import TransactionCase
+
+REGION = '<span class="restricted-editing-exception">%s</span>'
+
+
+class TestWebWidgetCKEditorRestrictedEditing(TransactionCase):
+    def setUp(self):
+        super().setUp()
+        self.group = self.env["res.groups"].create({"name": "Unrestricted"})
+        self.user = self.env["res.users"].create(
+            {
+                "name": "Restricted User",
+                "login": "ckeditor_restricted",
+                "groups_id": [(6, 0, self.env.ref("base.group_system").ids)],
+            }
+        )
+        Template = self.env["web.widget.ckeditor.template"]
+        self.env["web.widget.ckeditor.field"].create(
+            {
+                "field_id": self.env["ir.model.fields"]._get(Template._name, "body").id,
+                "unrestricted_group_id": self.group.id,
+            }
+        )
+        self.template = Template.create(
+            {"name": "Test", "body": "<p>Dear %s, welcome.</p>" % (REGION % "name")}
+        )
+
+    def _write(self, body):
+        self.template.with_user(self.user).write({"body": body})
+
+    def test_change_editable_region(self):
+        self._write("<p>Dear %s, welcome.</p>" % (REGION % "John"))
+        self.assertIn("John", self.template.body)
+
+    def test_change_markup(self):
+        """The editor rewrites the markup and the whitespaces"""
+        self._write("<p>Dear %s,\n<strong>welcome</strong>.</p>" % (REGION % "name"))
+        self.assertIn("<strong>welcome</strong>", self.template.body)
+
+    def test_remove_empty_region(self):
+        self._write("<p>Dear , welcome.</p>")
+        self.assertNotIn("restricted-editing-exception", self.template.body)
+
+    def test_change_locked_text(self):
+        with self.assertRaises(AccessError):
+            self._write("<p>Dear %s, goodbye.</p>" % (REGION % "name"))
+        # The text of a region can't be kept when removing it
+        with self.assertRaises(AccessError):
+            self._write("<p>Dear name, welcome.</p>")
+
+    def test_add_region(self):
+        with self.assertRaises(AccessError):
+            self._write("<p>Dear %s, %s.</p>" % (REGION % "name", REGION % "welcome"))
+
+    def test_unrestricted_user(self):
+        self.user.groups_id = [(4, self.group.id)]
+        self._write("<p>Goodbye.</p>")
+        self.assertEqual(self.template.body, "<p>Goodbye.</p>")
@@ -0,0 +1,91 @@
+# Copyright 2024 Camptocamp SA (https://www.camptocamp.com).
+# License AGPL-3.0 or later (https://www.gnu.org/licenses/agpl).
+
+from odoo.exceptions import UserError
+from odoo.tests.common import TransactionCase
+
+from odoo.addons.web_widget_ckeditor.models.web_widget_ckeditor_revision import (
+    html_diff,
+)
+
+
+class TestWebWidgetCKEditorRevision(TransactionCase):
+    def setUp(self):
+        super().setUp()
+        self.Template = self.env["web.widget.ckeditor.template"]
+        self.template = self.Template.create({"name": "Test", "body": "<p>One</p>"})
+
+    def _track_revisions(self):
+        self.env["web.widget.ckeditor.field"].create(
+            {
+                "field_id": self.env["ir.model.fields"]
+                ._get(self.Template._name, "body")
+                .id,
+                "track_revisions": True,
+            }
+        )
+
+    def test_html_diff(self):
+        self.assertEqual(
+            html_diff("<p>Hello world</p>", "<p>Hello there world</p>"),
+            "<p>Hello <ins>there </ins>world</p>",
+        )
+        self.assertEqual(
+            html_diff("<p>Hello old world</p>", "<p>Hello new world</p>"),
+            "<p>Hello <del>old</del><ins>new</ins> world</p>",
+        )
+        self.assertEqual(html_diff(False, "<p>New</p>"), "<p><ins>New</ins></p>")
+
+    def test_html_diff_markup(self):
+        """The deleted markup is dropped, and the changes of markup only are
+        not highlighted"""
+        self.assertEqual(
+            html_diff("<p>One</p><p>Two</p>", "<p>One</p>"),
+            "<p>One</p><del>Two</del>",
+        )
+        self.assertEqual(
+            html_diff("<p>Same</p>", "<p><strong>Same</strong></p>"),
+            "<p><strong>Same</strong></p>",
+        )
+
+    def test_revisions_not_tracked(self):
+        with self.assertRaises(UserError):
+            self.template.web_widget_ckeditor_read_revisions("body")
+        self.template.body = "<p>Two</p>"
+        revisions = self.env["web.widget.ckeditor.revision"].search(
+            [("res_model", "=", self.Template._name)]
+        )
+        self.assertFalse(revisions)
+
+    def test_revisions(self):
+        self._track_revisions()
+        template = self.Template.create({"name": "Tracked", "body": "<p>One</p>"})
+        self.assertEqual(len(template.web_widget_ckeditor_read_revisions("body")), 1)
+        # Writing the same value doesn't store a revision
+        template.body = "<p>One</p>"
+        template.body = "<p>One two</p>"
+        revisions = template.web_widget_ckeditor_read_revisions("body")
+        self.assertEqual(len(revisions), 2)
+        new_id, old_id = revisions[0]["id"], revisions[1]["id"]
+        self.assertEqual(
+            template.web_widget_ckeditor_read_revision("body", new_id),
+            "<p>One two</p>",
+        )
+        self.assertEqual(
+            template.web_widget_ckeditor_diff_revisions("body", old_id, new_id),
+            "<p>One<ins> two</ins></p>",
+        )
+
+    def test_revisions_initial_value(self):
+        """The value of a record created before its revisions were tracked
+        is stored along with the first change"""
+        self._track_revisions()
+        self.template.body = "<p>Two</p>"
+        revisions = self.template.web_widget_ckeditor_read_revisions("body")
+        self.assertEqual(
+            [
+                self.template.web_widget_ckeditor_read_revision("body", rev["id"])
+                for rev in revisions
+            ],
+            ["<p>Two</p>", "<p>One</p>"],
+        )